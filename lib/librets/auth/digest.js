@@ -0,0 +1,153 @@
+var crypto = require('crypto');
+
+/**
+ * HTTP Digest authentication state for a RETS session (RFC 2617 and RFC 7616). Holds the
+ * last challenge received from the server and the nonce count so the same challenge can
+ * be answered on every request of the session.
+ *
+ * @class Represents the Digest authentication of a session.
+ * @param {String} username username.
+ * @param {String} password password.
+ */
+var DigestAuth = exports.DigestAuth = function(username, password) {
+  this.username = username;
+  this.password = password;
+  // Last challenge received from the server
+  this.realm = null;
+  this.nonce = null;
+  this.opaque = null;
+  this.qop = null;
+  this.algorithm = 'MD5';
+  // Number of requests sent with the current nonce
+  this.nc = 0;
+}
+
+/**
+ * Parse a WWW-Authenticate header and store the challenge.
+ *
+ * @param {String|Array} header the WWW-Authenticate header(s).
+ * @return {Object} the parsed challenge or null if the server did not ask for Digest.
+ * @api private
+ */
+DigestAuth.prototype.challenge = function(header) {
+  var challenge = DigestAuth.parseChallenge(header);
+  if(challenge == null) return null;
+
+  // A new nonce restarts the nonce count
+  if(challenge.nonce != this.nonce) this.nc = 0;
+
+  this.realm = challenge.realm;
+  this.nonce = challenge.nonce;
+  this.opaque = challenge.opaque;
+  this.algorithm = challenge.algorithm || 'MD5';
+  // Only qop=auth is supported, auth-int would need the request body
+  this.qop = challenge.qop != null && challenge.qop.split(/\s*,\s*/).indexOf('auth') != -1 ? 'auth' : null;
+  return challenge;
+}
+
+/**
+ * Check if we have received a challenge we can answer.
+ *
+ * @return {Boolean}
+ * @api private
+ */
+DigestAuth.prototype.isChallenged = function() {
+  return this.nonce != null;
+}
+
+/**
+ * Build the Authorization header for a request.
+ *
+ * @param {String} method the HTTP method.
+ * @param {String} uri the request uri including the query string.
+ * @return {String} the header value or null if no challenge has been received.
+ * @api private
+ */
+DigestAuth.prototype.authorization = function(method, uri) {
+  if(!this.isChallenged()) return null;
+
+  var algorithm = this.algorithm.toUpperCase();
+  var hash = _hashFunction(algorithm);
+  var cnonce = crypto.randomBytes(8).toString('hex');
+  var nc = _formatNonceCount(++this.nc);
+
+  var ha1 = hash(this.username + ':' + this.realm + ':' + this.password);
+  if(/-SESS$/.test(algorithm)) ha1 = hash(ha1 + ':' + this.nonce + ':' + cnonce);
+  var ha2 = hash(method + ':' + uri);
+
+  var response = this.qop != null
+    ? hash([ha1, this.nonce, nc, cnonce, this.qop, ha2].join(':'))
+    : hash([ha1, this.nonce, ha2].join(':'));
+
+  var parts = [
+      'username=' + _quote(this.username)
+    , 'realm=' + _quote(this.realm)
+    , 'nonce=' + _quote(this.nonce)
+    , 'uri=' + _quote(uri)
+    , 'response="' + response + '"'
+    , 'algorithm=' + this.algorithm
+  ];
+
+  if(this.qop != null) parts.push('qop=' + this.qop, 'nc=' + nc, 'cnonce="' + cnonce + '"');
+  if(this.opaque != null) parts.push('opaque=' + _quote(this.opaque));
+  return 'Digest ' + parts.join(', ');
+}
+
+/**
+ * Parse the Digest challenge out of WWW-Authenticate header(s).
+ *
+ * @param {String|Array} header the WWW-Authenticate header(s).
+ * @return {Object} the challenge parameters or null if there is no Digest challenge.
+ * @api private
+ */
+DigestAuth.parseChallenge = function(header) {
+  if(header == null) return null;
+  var headers = Array.isArray(header) ? header : [header];
+
+  for(var i = 0; i < headers.length; i++) {
+    var match = /^\s*Digest\s+(.*)$/i.exec(headers[i]);
+    if(match == null) continue;
+
+    var challenge = {};
+    var regexp = /([a-zA-Z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))/g;
+    var param;
+
+    while((param = regexp.exec(match[1])) != null) {
+      challenge[param[1].toLowerCase()] = param[2] != null ? param[2].replace(/\\(.)/g, '$1') : param[3];
+    }
+
+    challenge.stale = /^true$/i.test(challenge.stale);
+    return challenge;
+  }
+
+  return null;
+}
+
+/**
+ * @ignore
+ */
+var _hashFunction = function(algorithm) {
+  var name = /^SHA-256/.test(algorithm) ? 'sha256' : 'md5';
+
+  return function(value) {
+    return crypto.createHash(name).update(value).digest('hex');
+  }
+}
+
+/**
+ * @ignore
+ */
+var _formatNonceCount = function(nc) {
+  var value = nc.toString(16);
+  while(value.length < 8) value = '0' + value;
+  return value;
+}
+
+/**
+ * Quote a parameter value, escaping the quotes and backslashes (RFC 7616 quoted-string).
+ *
+ * @ignore
+ */
+var _quote = function(value) {
+  return '"' + String(value).replace(/(["\\])/g, '\\$1') + '"';
+}
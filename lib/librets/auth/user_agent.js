@@ -0,0 +1,28 @@
+var crypto = require('crypto');
+
+/**
+ * Compute the RETS-UA-Authorization header value
+ *
+ *  Digest hex(MD5(hex(MD5(product ":" UA-password)) ":" RETS-Request-ID ":" session-id ":" version-info))
+ *
+ * @param {String} userAgent the User-Agent sent with the request.
+ * @param {String} userAgentPassword the User-Agent password.
+ * @param {String} requestId the RETS-Request-ID sent with the request, empty if none.
+ * @param {String} sessionId the RETS-Session-ID cookie, empty before login.
+ * @param {String} retsVersion the RETS-Version sent with the request.
+ * @return {String}
+ * @api private
+ */
+var authorization = function(userAgent, userAgentPassword, requestId, sessionId, retsVersion) {
+  var a1 = md5(userAgent + ':' + userAgentPassword);
+  return 'Digest ' + md5([a1, requestId || '', sessionId || '', retsVersion].join(':'));
+}
+
+/**
+ * @ignore
+ */
+var md5 = function(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+exports.authorization = authorization;
@@ -0,0 +1,151 @@
+// Values of the Search formats
+var INTEGER = /^[-+]?\d+$/;
+var DECIMAL = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+var DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+var DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[-+]\d{2}:?\d{2})?$/;
+var TIME = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[-+]\d{2}:?\d{2})?$/;
+
+/**
+ * Coerces the string values of the records of a class using the METADATA-TABLE DataType, Precision and Interpretation
+ *
+ *  - **Int**, **Small**, **Tiny** to Numbers.
+ *  - **Long** to Numbers when promoteLongs is set and the value fits in 53 bits, to Strings otherwise so no digit is lost.
+ *  - **Decimal** to Numbers rounded to the Precision.
+ *  - **Date**, **DateTime**, **Time** to Dates, DateTime and Time values without a zone are in the TimeZoneOffset of the server (UTC if it has none). Times are on 1970-01-01.
+ *  - **Boolean** 1, 0, Y, N (and true, false) to Booleans.
+ *  - **Character** and lookup fields (Interpretation Lookup, LookupMulti, ...) stay Strings.
+ *
+ * Empty values become null, values not matching their DataType and fields missing from the metadata are left as they are.
+ *
+ * Options
+ *  - **standardNames** {Boolean, default:false}, the records are keyed by StandardName instead of SystemName.
+ *  - **promoteLongs** {Boolean, default:true}, return the Long values that fit in 53 bits as Numbers.
+ *
+ * @class Represents the value types of a class.
+ * @param {Metadata} metadata the metadata of the server.
+ * @param {String} resourceName the resource name.
+ * @param {String} className the class name.
+ * @param {Object} [options] additional options for the coercion.
+ */
+function Coercion(metadata, resourceName, className, options) {
+  options = options || {};
+
+  var metadataClass = metadata.class(resourceName, className);
+  if(metadataClass == null) throw new Error("class " + className + " of resource " + resourceName + " not found in the metadata");
+
+  this.promoteLongs = typeof options.promoteLongs == 'boolean' ? options.promoteLongs : true;
+  // Offset of the server time zone in minutes
+  this.timeZoneOffset = _offset(metadata.system.TimeZoneOffset) || 0;
+  // Tables keyed by the field names of the records
+  this.tables = {};
+
+  for(var i = 0; i < metadataClass.tables.length; i++) {
+    var table = metadataClass.tables[i];
+    var name = options.standardNames ? table.StandardName : table.SystemName;
+    if(name) this.tables[name] = table;
+  }
+}
+
+/**
+ * Coerce the values of a record.
+ *
+ * @param {Object} record the record as parsed from the Search.
+ * @return {Object} the record with typed values.
+ * @api private
+ */
+Coercion.prototype.record = function(record) {
+  if(record == null) return record;
+
+  var coerced = {};
+  for(var name in record) {
+    coerced[name] = this.tables[name] != null ? this.value(this.tables[name], record[name]) : record[name];
+  }
+
+  return coerced;
+}
+
+/**
+ * Coerce a value of a field.
+ *
+ * @param {Object} table the METADATA-TABLE row of the field.
+ * @param {String} value the value.
+ * @return {Object} the typed value.
+ * @api private
+ */
+Coercion.prototype.value = function(table, value) {
+  if(typeof value != 'string') return value;
+  // Lookup fields hold lookup values whatever their DataType
+  if(/^Lookup/.test(table.Interpretation || '')) return value;
+
+  var text = value.trim();
+  var dataType = table.DataType;
+  if(text == '' && dataType != 'Character') return null;
+
+  switch(dataType) {
+    case 'Int':
+    case 'Small':
+    case 'Tiny':
+      return INTEGER.test(text) ? parseInt(text, 10) : value;
+    case 'Long':
+      if(!INTEGER.test(text)) return value;
+      var number = parseInt(text, 10);
+      // Beyond 53 bits the digits are kept in the String
+      return this.promoteLongs && Math.abs(number) <= 9007199254740991 ? number : text;
+    case 'Decimal':
+      if(!DECIMAL.test(text)) return value;
+      var precision = parseInt(table.Precision, 10);
+      return isNaN(precision) ? parseFloat(text) : parseFloat(parseFloat(text).toFixed(precision));
+    case 'Date':
+      var match = DATE.exec(text);
+      return match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : value;
+    case 'DateTime':
+      var match = DATE_TIME.exec(text);
+      if(!match) return value;
+      return _date(this, [+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +(match[6] || 0), _milliseconds(match[7])], match[8]);
+    case 'Time':
+      var match = TIME.exec(text);
+      if(!match) return value;
+      return _date(this, [1970, 0, 1, +match[1], +match[2], +(match[3] || 0), _milliseconds(match[4])], match[5]);
+    case 'Boolean':
+      if(/^(1|Y|true)$/i.test(text)) return true;
+      if(/^(0|N|false)$/i.test(text)) return false;
+      return value;
+  }
+
+  // Character and unknown types
+  return value;
+}
+
+/**
+ * The Date of the parts in the zone of the value or the server
+ * @ignore
+ */
+var _date = function(self, parts, zone) {
+  var offset = zone != null ? _offset(zone) : self.timeZoneOffset;
+  var time = Date.UTC(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], parts[6]);
+  return new Date(time - (offset || 0) * 60000);
+}
+
+/**
+ * The offset in minutes of Z, +hh:mm or -hhmm, null when there is none
+ * @ignore
+ */
+var _offset = function(zone) {
+  if(zone == null) return null;
+  if(zone == 'Z') return 0;
+
+  var match = /^([-+])(\d{2}):?(\d{2})$/.exec(String(zone).trim());
+  if(!match) return null;
+  return (match[1] == '-' ? -1 : 1) * (+match[2] * 60 + +match[3]);
+}
+
+/**
+ * @ignore
+ */
+var _milliseconds = function(fraction) {
+  if(fraction == null) return 0;
+  // .5 is 500 milliseconds
+  return +(fraction + '00').substr(0, 3);
+}
+
+exports.Coercion = Coercion;
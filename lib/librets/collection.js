@@ -10,7 +10,9 @@ var QueryCommand = require('./commands/query_command').QueryCommand
   , shared = require('./collection/shared')
   , query = require('./collection/query')
   , index = require('./collection/index')
-  , commands = require('./collection/commands');
+  , commands = require('./collection/commands')
+  , core = require('./collection/core')
+  , objects = require('./collection/objects');
 
 /**
  * Create a new Collection instance (INTERNAL TYPE, do not instantiate directly)
@@ -19,8 +21,10 @@ var QueryCommand = require('./commands/query_command').QueryCommand
  *  - **readPreference** {String}, the prefered read preference (ReadPreference.PRIMARY, ReadPreference.PRIMARY_PREFERRED, ReadPreference.SECONDARY, ReadPreference.SECONDARY_PREFERRED, ReadPreference.NEAREST).
  *  - **slaveOk** {Boolean, default:false}, Allow reads from secondaries.
  *  - **serializeFunctions** {Boolean, default:false}, serialize functions on the document.
- *  - **raw** {Boolean, default:false}, perform all operations using raw bson objects.
+ *  - **raw** {Boolean, default:false}, return the record values as the strings sent by the server, defaults to the option of the db.
+ *  - **promoteLongs** {Boolean, default:true}, return the Long values that fit in 53 bits as Numbers, defaults to the option of the db.
  *  - **pkFactory** {Object}, object overriding the basic ObjectID primary key generation.
+ *  - **dataDictionary** {Boolean|Object}, the Data Dictionary names of the records found, defaults to the option of the db.
  *
  * @class Represents a Collection
  * @param {Object} db db instance.
@@ -36,6 +40,9 @@ function Collection (db, collectionName, pkFactory, options) {
 
   this.db = db;
   this.collectionName = collectionName;
+  // Searches are issued against the Resource:Class of the collection
+  this.resourceName = collectionName.split(':')[0];
+  this.className = collectionName.indexOf(':') != -1 ? collectionName.substr(collectionName.indexOf(':') + 1) : null;
   this.internalHint = null;
   this.opts = options != null && ('object' === typeof options) ? options : {};
   this.slaveOk = options == null || options.slaveOk == null ? db.slaveOk : options.slaveOk;
@@ -50,19 +57,96 @@ function Collection (db, collectionName, pkFactory, options) {
     ? ObjectID
     : pkFactory;
 
-  // Server Capabilities
-  this.serverCapabilities = this.db.serverConfig._serverCapabilities;
+  // Server Capabilities, known once the metadata of the db is loaded
+  Object.defineProperty(this, 'serverCapabilities', {
+      enumerable: true
+    , get: function() { return db.serverCapabilities; }
+  });
+
+  // Records synced for the local indexes, kept by the db so every instance of the collection shares them
+  var self = this;
+  Object.defineProperty(this, 'localRecords', {
+      enumerable: true
+    , get: function() { return db._localRecords[self.collectionName] || null; }
+    , set: function(value) { db._localRecords[self.collectionName] = value; }
+  });
 }
 
 /**
- * Count number of matching documents in the db to a query.
+ * Add records to the collection class with RETS Update transactions, one transaction per record.
+ *
+ * Every record is answered with a result
+ *  - **record** {Object}, the record as stored by the server, null if the server does not return it.
+ *  - **errors** {Array}, the field errors {fieldName, errorNumber, offset, errorText}.
+ *  - **warnings** {Array}, the field warnings {fieldName, warningNumber, offset, warningText, responseRequired}.
+ *
+ * A failed transaction returns a RETSError carrying the field errors and warnings as err.errors and err.warnings.
+ * The validate and warningResponse options default to the options of the collection and the db.
  *
  * Options
- *  - **skip** {Number}, The number of documents to skip for the count.
- *  - **limit** {Number}, The limit of documents to count.
- *  - **readPreference** {String}, the preferred read preference, require('mongodb').ReadPreference (ReadPreference.PRIMARY, ReadPreference.PRIMARY_PREFERRED, ReadPreference.SECONDARY, ReadPreference.SECONDARY_PREFERRED, ReadPreference.NEAREST).
+ *  - **updateType** {String, default:'Add'}, the update type as listed in METADATA-UPDATE.
+ *  - **delimiter** {String, default:'\t'}, the character separating the fields of the Record parameter.
+ *  - **validate** {Number, default:0}, 1 only validates the record without committing it, 2 has the server auto-populate the record.
+ *  - **warningResponse** {Function|Object}, function(warnings, callback) answering the warnings that require a response, call back with true to accept them all, an object of responses keyed by warning number or false to reject them. Accepted warnings resubmit the record. An object answers the warnings up front.
+ *
+ * @param {Array|Object} docs the record or records to add.
+ * @param {Object} [options] optional options for insert command
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the results of the records or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.insert = function() { return core.insert; }();
+
+/**
+ * Change a record of the collection class with a RETS Update transaction. The selector names the key
+ * fields of the record by value ({LN: '12345'}) and is sent along with the changed fields.
+ *
+ * Options
+ *  - **updateType** {String, default:'Change'}, the update type as listed in METADATA-UPDATE.
+ *  - **delimiter** {String, default:'\t'}, the character separating the fields of the Record parameter.
+ *  - **validate** {Number, default:0}, 1 only validates the record without committing it, 2 has the server auto-populate the record.
+ *  - **warningResponse** {Function|Object}, the handler or responses of the warnings, see insert.
+ *
+ * @param {Object} selector the key fields of the record.
+ * @param {Object} document the changed fields, a plain object or {$set: {...}}.
+ * @param {Object} [options] additional options during update.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the result {record, errors, warnings} or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.update = function() { return core.update; }();
+
+/**
+ * Save a record with a RETS Update transaction, records carrying the KeyField of the resource are changed,
+ * all others are added.
+ *
+ * Options
+ *  - **updateType** {String}, the update type as listed in METADATA-UPDATE, overrides the KeyField check.
+ *  - **delimiter** {String, default:'\t'}, the character separating the fields of the Record parameter.
+ *  - **validate** {Number, default:0}, 1 only validates the record without committing it, 2 has the server auto-populate the record.
+ *  - **warningResponse** {Function|Object}, the handler or responses of the warnings, see insert.
+ *
+ * @param {Object} [doc] the record to save
+ * @param {Object} [options] additional options during save.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the result {record, errors, warnings} or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.save = function() { return core.save; }();
+
+/**
+ * Count the records matching a query with a count only RETS Search (Count=2). Servers rejecting count only
+ * Searches (ReplyCode 20207 or 20209) or answering without a COUNT are asked for a single record with its
+ * count (Count=1, Limit=1) instead, other errors are returned as they are. An empty query counts the records
+ * with a value for the KeyField of the class.
  *
- * @param {Object} [query] query to filter by before performing count.
+ * Options
+ *  - **skip** {Number}, The number of records to skip for the count.
+ *  - **limit** {Number}, The limit of records to count.
+ *  - **standardNames** {Boolean, default:false}, the query uses standard names instead of system names.
+ *  - **dataDictionary** {Boolean|Object}, the selector uses RESO Data Dictionary names, defaults to the option of the collection and the db. See Db.
+ *
+ * @param {Object|String} [query] selector compiled into the DMQL2 query of the Search, or a DMQL2 String.
  * @param {Object} [options] additional options during count.
  * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the results from the count method or null if an error occured.
  * @return {null}
@@ -71,7 +155,99 @@ function Collection (db, collectionName, pkFactory, options) {
 Collection.prototype.count = function() { return commands.count; }();
 
 /**
- * Creates a cursor for a query that can be used to iterate over results from MongoDB
+ * The distinct values of a field. Lookup fields return their lookup values {Value, ShortValue, LongValue} from
+ * the metadata, limited to the values used by the matching records when a query is given. Other fields are
+ * scanned with a streaming Search selecting the field, the values are deduplicated on the client.
+ *
+ * Options
+ *  - **standardNames** {Boolean, default:false}, the field and query use standard names instead of system names.
+ *  - **dataDictionary** {Boolean|Object}, the field and selector use RESO Data Dictionary names, defaults to the option of the collection and the db. See Db.
+ *
+ * @param {String} key the field to return the distinct values for.
+ * @param {Object|String} [query] selector or DMQL2 query limiting the records scanned.
+ * @param {Object} [options] additional options during distinct.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the distinct values or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.distinct = function() { return commands.distinct; }();
+
+/**
+ * Creates a local secondary index over records synced from the server. The records matching the query are
+ * fetched once and kept in memory, find selectors matching every field of an index by value are answered from
+ * the local records without a Search when the synced records hold every record the selector can match, that is
+ * the selector matches each field of the query to a value the query allows. Indexes created without a query share
+ * the records already synced when those hold all the records with a value for the first field, otherwise the
+ * records are synced again. The synced records are kept by the db for all the instances of the collection.
+ *
+ * Options
+ *  - **query** {Object|String}, the selector or DMQL2 query of the records to sync, defaults to all records with a value for the first field.
+ *  - **name** {String}, the index name, defaults to the fields (LN_1).
+ *  - **directory** {String}, directory where the records and index definitions are persisted and read back from.
+ *  - **refresh** {Boolean, default:false}, sync the records from the server again.
+ *  - **standardNames** {Boolean, default:false}, sync the records keyed by standard names. Records are never keyed by Data Dictionary names, cursors using them are matched on the SystemNames of their selector.
+ *  - **format** {String, default:'COMPACT-DECODED'}, the Search format of the synced records.
+ *
+ * @param {String|Array|Object} fieldOrSpec the field or fields to index, 'LN', ['ListAgentID', 'Status'] or {PostalCode: 1}.
+ * @param {Object} [options] additional options during index creation.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the index name or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.createIndex = function() { return index.createIndex; }();
+
+/**
+ * Ensures a local secondary index exists, reusing an index created earlier or persisted in the directory,
+ * see createIndex for the options.
+ *
+ * @param {String|Array|Object} fieldOrSpec the field or fields to index.
+ * @param {Object} [options] additional options during index creation.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the index name or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.ensureIndex = function() { return index.ensureIndex; }();
+
+/**
+ * Drops the local indexes and the synced records, including the persisted copy.
+ *
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain true or false if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.dropAllIndexes = function() { return index.dropAllIndexes; }();
+
+/**
+ * Retrieves the indexes of the collection class from METADATA-TABLE, the KeyField of the class and
+ * all the fields flagged Index=1 or Searchable=1, keyed by field name as {key, index, searchable}.
+ *
+ * Options
+ *  - **standardNames** {Boolean, default:false}, key the fields by standard names instead of system names.
+ *
+ * @param {Object} [options] additional options during index information.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the index information or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.indexInformation = function() { return index.indexInformation; }();
+
+/**
+ * Checks if one or more fields are indexed or searchable, see indexInformation.
+ *
+ * Options
+ *  - **standardNames** {Boolean, default:false}, the fields are standard names instead of system names.
+ *
+ * @param {String|Array} indexes one or more field names to check.
+ * @param {Object} [options] additional options during index exists.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain false or true if all the fields are found or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.indexExists = function() { return index.indexExists; }();
+
+/**
+ * Creates a cursor for a query that can be used to iterate over the results of RETS Searches. An empty
+ * selector finds the records with a value for the KeyField of the class, (LN=.ANY.).
  *
  * Various argument possibilities
  *  - callback?
@@ -104,12 +280,16 @@ Collection.prototype.count = function() { return commands.count; }();
  *  - **max** {Number}, Set index bounds.
  *  - **showDiskLoc** {Boolean, default:false}, Show disk location of results.
  *  - **comment** {String}, You can put a $comment field on a query to make looking in the profiler logs simpler.
- *  - **raw** {Boolean, default:false}, Return all BSON documents as Raw Buffer documents.
+ *  - **raw** {Boolean, default:false}, return the values as the strings sent by the server instead of coercing them by their METADATA-TABLE DataType, Precision and Interpretation.
+ *  - **promoteLongs** {Boolean, default:true}, return the Long values that fit in 53 bits as Numbers, larger values are Strings.
  *  - **readPreference** {String}, the preferred read preference, require('mongodb').ReadPreference ((ReadPreference.PRIMARY, ReadPreference.PRIMARY_PREFERRED, ReadPreference.SECONDARY, ReadPreference.SECONDARY_PREFERRED, ReadPreference.NEAREST).
  *  - **numberOfRetries** {Number, default:5}, if using awaidata specifies the number of times to retry on timeout.
  *  - **partial** {Boolean, default:false}, specify if the cursor should return partial results when querying against a sharded system
+ *  - **standardNames** {Boolean, default:false}, search and return the records keyed by standard names instead of system names.
+ *  - **format** {String, default:'COMPACT-DECODED'}, the Search format, COMPACT, COMPACT-DECODED or STANDARD-XML. STANDARD-XML records are flattened into documents keyed by element name, or by element path for a name found under several paths.
+ *  - **dataDictionary** {Boolean|Object}, key the selector, fields, sort and records by RESO Data Dictionary names, defaults to the option of the collection and the db. See Db.
  *
- * @param {Object|ObjectID} query query object to locate the object to modify
+ * @param {Object|String} query selector compiled into the DMQL2 query of the Search ({ListPrice: {$gte: 300000}}), or a DMQL2 String.
  * @param {Object} [options] additional options during update.
  * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the results from the find method or null if an error occured.
  * @return {Cursor} returns a cursor to the query
@@ -146,11 +326,15 @@ Collection.prototype.find = function() { return query.find; }();
  *  - **max** {Number}, Set index bounds.
  *  - **showDiskLoc** {Boolean, default:false}, Show disk location of results.
  *  - **comment** {String}, You can put a $comment field on a query to make looking in the profiler logs simpler.
- *  - **raw** {Boolean, default:false}, Return all BSON documents as Raw Buffer documents.
+ *  - **raw** {Boolean, default:false}, return the values as the strings sent by the server instead of coercing them by their METADATA-TABLE DataType, Precision and Interpretation.
+ *  - **promoteLongs** {Boolean, default:true}, return the Long values that fit in 53 bits as Numbers, larger values are Strings.
  *  - **readPreference** {String}, the preferred read preference, require('mongodb').ReadPreference (ReadPreference.PRIMARY, ReadPreference.PRIMARY_PREFERRED, ReadPreference.SECONDARY, ReadPreference.SECONDARY_PREFERRED, ReadPreference.NEAREST).
  *  - **partial** {Boolean, default:false}, specify if the cursor should return partial results when querying against a sharded system
+ *  - **standardNames** {Boolean, default:false}, search and return the records keyed by standard names instead of system names.
+ *  - **format** {String, default:'COMPACT-DECODED'}, the Search format, COMPACT, COMPACT-DECODED or STANDARD-XML. STANDARD-XML records are flattened into documents keyed by element name, or by element path for a name found under several paths.
+ *  - **dataDictionary** {Boolean|Object}, key the selector, fields, sort and records by RESO Data Dictionary names, defaults to the option of the collection and the db. See Db.
  *
- * @param {Object|ObjectID} query query object to locate the object to modify
+ * @param {Object|String} query selector compiled into the DMQL2 query of the Search ({ListPrice: {$gte: 300000}}), or a DMQL2 String.
  * @param {Object} [options] additional options during update.
  * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the results from the findOne method or null if an error occured.
  * @return {Cursor} returns a cursor to the query
@@ -158,6 +342,37 @@ Collection.prototype.find = function() { return query.find; }();
  */
 Collection.prototype.findOne = function() { return query.findOne; }();
 
+/**
+ * Fetch media objects (photos, documents, ...) of the entities of the collection resource with a GetObject transaction,
+ * see Db.getObject for the ids and the object records.
+ *
+ * Options
+ *  - **accept** {String, default:'*\/*'}, the media types to accept, image/jpeg etc.
+ *  - **location** {Boolean, default:false}, request the urls of the objects (Location=1) instead of their content.
+ *
+ * @param {String} type the object type as listed in METADATA-OBJECT, Photo etc.
+ * @param {String|Array|Object} ids the entity and object ids, '12345:*', ['12345:0', '67890:1:2'] or {'12345': '*'}.
+ * @param {Object} [options] additional options for the transaction.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the object records or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.getObject = function() { return objects.getObject; }();
+
+/**
+ * Add, replace or delete media objects of an entity of the collection resource with PostObject transactions,
+ * see Db.postObject for the objects and the results.
+ *
+ * @param {String} type the object type as listed in METADATA-OBJECT, Photo etc.
+ * @param {String} resourceId the id of the entity, the listing id etc.
+ * @param {Array|Object} objects the object or objects to post.
+ * @param {Object} [options] additional options for the transaction.
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the results of the objects or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Collection.prototype.postObject = function() { return objects.postObject; }();
+
 /**
  * Expose.
  */
@@ -1,6 +1,14 @@
 var shared = require('./shared')
   , utils = require('../utils')
-  , DbCommand = require('../commands/db_command').DbCommand;
+  , dmql = require('./dmql')
+  , DbCommand = require('../commands/db_command').DbCommand
+  , RETSCommand = require('../commands/rets_command').RETSCommand
+  , libRETSReply = require('../responses/librets_reply').libRETSReply
+  , DataDictionary = require('../data_dictionary').DataDictionary
+  , RETSError = require('../errors').RETSError;
+
+// ReplyCodes of servers rejecting count only Searches, Unauthorized Query and Timeout
+var COUNT_ONLY_REJECTED = [20207, 20209];
 
 var stats = function stats(options, callback) {
   var args = Array.prototype.slice.call(arguments, 0);
@@ -24,61 +32,210 @@ var stats = function stats(options, callback) {
 }
 
 var count = function count(query, options, callback) {
+  var self = this;
   var args = Array.prototype.slice.call(arguments, 0);
   callback = args.pop();
   query = args.length ? args.shift() || {} : {};
   options = args.length ? args.shift() || {} : {};
-  var skip = options.skip;
-  var limit = options.limit;
-  var maxTimeMS = options.maxTimeMS;
+  var skip = typeof options.skip == 'number' ? options.skip : 0;
+  var limit = typeof options.limit == 'number' ? Math.abs(options.limit) : 0;
+  var dataDictionary = shared._getDataDictionary(this, options);
 
-  // Final query
-  var commandObject = {
-      'count': this.collectionName
-    , 'query': query
-    , 'fields': null
-  };
-
-  // Add limit and skip if defined
-  if(typeof skip == 'number') commandObject.skip = skip;
-  if(typeof limit == 'number') commandObject.limit = limit;
-  if(typeof maxTimeMS == 'number') commandObject['$maxTimeMS'] = maxTimeMS;
-
-  // Set read preference if we set one
-  var readPreference = shared._getReadConcern(this, options);
-  // Execute the command
-  this.db._executeQueryCommand(DbCommand.createDbSlaveOkCommand(this.db, commandObject)
-    , {read: readPreference}
-    , utils.handleSingleCommandResultReturn(null, null, function(err, result) {
+  try {
+    if(this.className == null) throw new Error("collection name must be in the format Resource:Class to count");
+    if(dataDictionary && options.standardNames)
+      throw new Error("dataDictionary maps the system names of the records, it cannot be combined with standardNames");
+    var parameters = {
+        SearchType: this.resourceName
+      , Class: this.className
+      , QueryType: 'DMQL2'
+      , Query: dmql.compile(query)
+      , Format: 'COMPACT'
+      , Count: 2
+      , StandardNames: options.standardNames ? 1 : 0
+    };
+  } catch(err) {
+    return callback(err, null);
+  }
+
+  // Apply skip and limit to the number of matching records
+  var done = function(records) {
+    records = Math.max(0, records - skip);
+    callback(null, limit > 0 ? Math.min(records, limit) : records);
+  }
+
+  var search = function() {
+    _searchCount(self, parameters, function(err, records) {
+      // Servers without count only searches reject Count=2 or return records without a COUNT,
+      // other errors would fail the Count=1 Search alike
+      if(err == null && records != null) return done(records);
+      if(err != null && !(err instanceof RETSError && COUNT_ONLY_REJECTED.indexOf(err.replyCode) != -1)) return callback(err, null);
+
+      parameters.Count = 1;
+      parameters.Limit = 1;
+      _searchCount(self, parameters, function(err, records) {
+        if(err) return callback(err, null);
+        if(records == null) return callback(new Error("server did not return a record count"), null);
+        done(records);
+      });
+    });
+  }
+
+  // DMQL2 strings are searched as they are
+  var translate = dataDictionary && typeof query != 'string';
+  if(!translate && parameters.Query.length > 0) return search();
+
+  // Selectors are translated from Data Dictionary names, an empty query counts the records with a KeyField
+  this.db._searchMetadata(this.resourceName, this.className, function(err, metadata) {
+    if(err) return callback(err, null);
+
+    try {
+      if(translate) {
+        var overrides = typeof dataDictionary == 'object' ? dataDictionary : null;
+        var dictionary = new DataDictionary(metadata, self.resourceName, self.className, overrides);
+        parameters.Query = dmql.compile(dictionary.selector(query));
+      }
+
+      if(parameters.Query.length == 0) {
+        parameters.Query = shared._matchAllQuery(metadata, self.resourceName, self.className, options.standardNames);
+      }
+    } catch(err) {
+      return callback(err, null);
+    }
+
+    search();
+  });
+};
+
+/**
+ * Issue a counting Search, returns the COUNT Records of the reply
+ * @ignore
+ */
+var _searchCount = function(self, parameters, callback) {
+  self.db._executeRETSCommand(RETSCommand.createSearchCommand(self.db, parameters), function(err, response) {
+    if(err) return callback(err, null);
+
+    var reply = new libRETSReply();
+    reply.parseBody(response.body, function(err) {
+      if(err == null && reply.is_error()) err = reply.toError();
       if(err) return callback(err, null);
-      if(result == null) return callback(new Error("no result returned for count"), null);
-      callback(null, result.n);
-    }));
+
+      // No Records Found carries no COUNT
+      if(reply.replyCode == RETSError.NO_RECORDS_FOUND) return callback(null, 0);
+      callback(null, reply.count);
+    });
+  });
 };
 
 var distinct = function distinct(key, query, options, callback) {
+  var self = this;
   var args = Array.prototype.slice.call(arguments, 1);
   callback = args.pop();
-  query = args.length ? args.shift() || {} : {};
+  query = args.length ? args.shift() : null;
   options = args.length ? args.shift() || {} : {};
 
-  var mapCommandHash = {
-      'distinct': this.collectionName
-    , 'query': query
-    , 'key': key
-  };
-
-  // Set read preference if we set one
-  var readPreference = options['readPreference'] ? options['readPreference'] : false;
-  // Create the command
-  var cmd = DbCommand.createDbSlaveOkCommand(this.db, mapCommandHash);
-
-  this.db._executeQueryCommand(cmd, {read:readPreference}, function (err, result) {
-    if(err)
-      return callback(err);
-    if(result.documents[0].ok != 1)
-      return callback(new Error(result.documents[0].errmsg));
-    callback(null, result.documents[0].values);
+  // An empty selector does not filter the values
+  if(query != null && typeof query == 'object' && Object.keys(query).length == 0) query = null;
+  var dataDictionary = shared._getDataDictionary(this, options);
+
+  this.db._searchMetadata(this.resourceName, this.className, function(err, metadata) {
+    if(err) return callback(err, null);
+
+    try {
+      var overrides = typeof dataDictionary == 'object' ? dataDictionary : null;
+      var dictionary = dataDictionary ? new DataDictionary(metadata, self.resourceName, self.className, overrides) : null;
+    } catch(err) {
+      return callback(err, null);
+    }
+
+    var scanOptions = {standardNames: options.standardNames, dataDictionary: dataDictionary, dictionary: dictionary};
+    var table = metadata.table(self.resourceName, self.className, dictionary != null ? dictionary.systemName(key) : key);
+    var lookupName = table != null && /^Lookup/.test(table.Interpretation) ? table.LookupName : null;
+    if(!lookupName || table.lookup != null) return _distinctValues(self, key, table, query, scanOptions, callback);
+
+    // The metadata of the class leaves out the lookups, load the lookup of the field
+    self.db._searchMetadata(self.resourceName, self.className, {lookupName: lookupName}, function(err, metadata) {
+      if(err) return callback(err, null);
+      table = metadata.table(self.resourceName, self.className, table.SystemName);
+      _distinctValues(self, key, table, query, scanOptions, callback);
+    });
+  });
+};
+
+/**
+ * The distinct values of a field, the lookup types of a lookup field or the values scanned from the records
+ * @ignore
+ */
+var _distinctValues = function(self, key, table, query, options, callback) {
+  var dictionary = options.dictionary;
+  var lookup = table != null && /^Lookup/.test(table.Interpretation) ? table.lookup : null;
+  var lookupTypes = lookup == null ? null : lookup.types.map(function(type) {
+    return {Value: type.Value, ShortValue: type.ShortValue, LongValue: type.LongValue};
+  });
+
+  // All the values of a lookup field are known from the metadata
+  if(lookupTypes != null && query == null) return callback(null, lookupTypes);
+
+  // Search the field by the name the records are keyed by
+  var field = table == null ? key : dictionary != null
+    ? dictionary.standardName(table.SystemName)
+    : (options.standardNames ? table.StandardName : table.SystemName) || key;
+  var multiple = table != null && table.Interpretation == 'LookupMulti';
+
+  _scanValues(self, field, query, options, multiple, function(err, values) {
+    if(err) return callback(err, null);
+    if(lookupTypes == null) return callback(null, values);
+
+    // Only the lookup values used by the matching records
+    callback(null, lookupTypes.filter(function(type) {
+      return values.indexOf(type.Value) != -1;
+    }));
+  });
+};
+
+/**
+ * Collect the distinct values of a field streaming a Search selecting the field
+ * @ignore
+ */
+var _scanValues = function(self, key, query, options, multiple, callback) {
+  var selector = query;
+  if(selector == null) {
+    selector = {};
+    selector[key] = {$exists: true};
+  }
+
+  var fields = {};
+  fields[key] = 1;
+
+  try {
+    // COMPACT returns the lookup values rather than their long values
+    var stream = self.find(selector, fields, {format: 'COMPACT', standardNames: options.standardNames, dataDictionary: options.dataDictionary}).stream();
+  } catch(err) {
+    return callback(err, null);
+  }
+
+  var seen = {};
+  var values = [];
+
+  stream.on('data', function(record) {
+    var value = record[key];
+    if(value == null || value === '') return;
+
+    // Multiple lookup values are separated by commas
+    var list = multiple ? value.split(',') : [value];
+    for(var i = 0; i < list.length; i++) {
+      if(list[i] === '' || seen.hasOwnProperty(list[i])) continue;
+      seen[list[i]] = true;
+      values.push(list[i]);
+    }
+  });
+
+  stream.on('error', function(err) {
+    callback(err, null);
+  });
+
+  stream.on('end', function() {
+    callback(null, values);
   });
 };
 
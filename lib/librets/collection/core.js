@@ -0,0 +1,226 @@
+var RETSCommand = require('../commands/rets_command').RETSCommand
+  , UpdateReply = require('../responses/update_reply').UpdateReply
+  , shared = require('./shared')
+  , dmql = require('./dmql')
+  , utils = require('../utils');
+
+/**
+ * Add records with Update transactions, one per record
+ * @ignore
+ */
+var insert = function insert(docs, options, callback) {
+  var self = this;
+  if(typeof options === 'function') { callback = options; options = {}; }
+  options = options || {};
+
+  var documents = Array.isArray(docs) ? docs : [docs];
+  var results = [];
+
+  var insertDocument = function(index) {
+    if(index == documents.length) return callback(null, results);
+
+    _executeUpdate(self, options.updateType || 'Add', documents[index], options, function(err, result) {
+      if(err) return callback(err, null);
+      results.push(result);
+      insertDocument(index + 1);
+    });
+  }
+
+  insertDocument(0);
+}
+
+/**
+ * Change a record with an Update transaction, the selector names the key of the record
+ * @ignore
+ */
+var update = function update(selector, document, options, callback) {
+  if(typeof options === 'function') { callback = options; options = {}; }
+  options = options || {};
+
+  try {
+    var record = _record(selector, document);
+  } catch(err) {
+    return callback(err, null);
+  }
+
+  _executeUpdate(this, options.updateType || 'Change', record, options, callback);
+}
+
+/**
+ * Add or change a record depending on the presence of the resource KeyField
+ * @ignore
+ */
+var save = function save(document, options, callback) {
+  var self = this;
+  if(typeof options === 'function') { callback = options; options = {}; }
+  options = options || {};
+
+  // Collections without a class fail without loading the metadata
+  if(options.updateType != null || this.className == null) {
+    return _executeUpdate(self, options.updateType, document, options, callback);
+  }
+
+  this.db._searchMetadata(this.resourceName, this.className, function(err, metadata) {
+    if(err) return callback(err, null);
+
+    var resource = metadata.resource(self.resourceName);
+    if(resource == null || !resource.KeyField) {
+      return callback(new Error("resource " + self.resourceName + " has no KeyField, provide the updateType to save"), null);
+    }
+
+    var type = document[resource.KeyField] != null && document[resource.KeyField] !== '' ? 'Change' : 'Add';
+    _executeUpdate(self, type, document, options, callback);
+  });
+}
+
+/**
+ * Merge the selector and the changed fields into the record sent with a Change
+ * @ignore
+ */
+var _record = function(selector, document) {
+  var record = {};
+
+  if(!utils.isObject(selector)) throw new Error("update selector must be an object naming the key of the record");
+  for(var name in selector) {
+    if(name.charAt(0) == '$' || utils.isObject(selector[name]) && !utils.isDate(selector[name])) {
+      throw new Error("update selector must match the record by field values, " + name + " is not supported");
+    }
+
+    record[name] = selector[name];
+  }
+
+  // Only $set has a RETS equivalent
+  var keys = Object.keys(document || {});
+  var values = document;
+  if(keys.length > 0 && keys[0].charAt(0) == '$') {
+    if(keys.length > 1 || keys[0] != '$set') throw new Error("update supports plain documents and $set only");
+    values = document.$set;
+  }
+
+  for(var name in values) record[name] = values[name];
+  return record;
+}
+
+/**
+ * Issue the Update transaction of a record, resubmitting it when the warnings are accepted
+ * @ignore
+ */
+var _executeUpdate = function(self, type, document, options, callback) {
+  if(self.className == null) {
+    return callback(new Error("collection " + self.collectionName + " has no class, updates are issued against Resource:Class collections"), null);
+  }
+
+  var delimiter = options.delimiter || '\t';
+
+  try {
+    var updateOptions = shared._getUpdateOptions(self, options);
+    var parameters = {
+        Resource: self.resourceName
+      , ClassName: self.className
+      , Type: type
+      , Validate: updateOptions.validate
+      , Delimiter: _hex(delimiter)
+      , Record: _formatPairs(document, delimiter)
+    };
+  } catch(err) {
+    return callback(err, null);
+  }
+
+  // Responses already sent, keyed by warning number
+  var responses = null;
+  if(updateOptions.warningResponse != null && typeof updateOptions.warningResponse == 'object') {
+    responses = {};
+    for(var number in updateOptions.warningResponse) responses[number] = updateOptions.warningResponse[number];
+  }
+
+  var submit = function() {
+    if(responses != null) {
+      try {
+        parameters.WarningResponse = _formatPairs(responses, delimiter);
+      } catch(err) {
+        return callback(err, null);
+      }
+    }
+
+    self.db._executeRETSCommand(RETSCommand.createUpdateCommand(self.db, parameters), function(err, response) {
+      if(err) return callback(err, null);
+
+      var reply = new UpdateReply();
+      reply.parseBody(response.body, function(err) {
+        if(err) return callback(err, null);
+
+        var finish = function() {
+          if(reply.is_error()) return callback(reply.toError(), null);
+          callback(null, {record: reply.record, errors: reply.errors, warnings: reply.warnings});
+        }
+
+        // Warnings waiting for a response not given yet
+        var pending = reply.warnings.filter(function(warning) {
+          return warning.responseRequired > 0 && (responses == null || responses[warning.warningNumber] == null);
+        });
+
+        if(pending.length == 0 || typeof updateOptions.warningResponse != 'function') return finish();
+
+        updateOptions.warningResponse(pending, function(err, accepted) {
+          if(err) return callback(err, null);
+          // Rejected warnings leave the reply as it is
+          if(accepted == null || accepted === false) return finish();
+
+          responses = responses || {};
+          pending.forEach(function(warning) {
+            if(accepted === true) {
+              responses[warning.warningNumber] = '';
+            } else if(accepted[warning.warningNumber] != null) {
+              responses[warning.warningNumber] = accepted[warning.warningNumber];
+            }
+          });
+
+          // Only resubmit when every pending warning was answered
+          var answered = pending.every(function(warning) { return responses[warning.warningNumber] != null; });
+          if(!answered) return finish();
+          submit();
+        });
+      });
+    });
+  }
+
+  submit();
+}
+
+/**
+ * Format name=value pairs separated by the delimiter
+ * @ignore
+ */
+var _formatPairs = function(values, delimiter) {
+  return Object.keys(values).map(function(name) {
+    var value = values[name];
+
+    if(value == null) {
+      value = '';
+    } else if(utils.isDate(value)) {
+      value = dmql.formatDate(value);
+    } else if(Array.isArray(value)) {
+      // Multiple lookup values
+      value = value.join(',');
+    }
+
+    value = String(value);
+    if(value.indexOf(delimiter) != -1 || name.indexOf(delimiter) != -1) {
+      throw new Error("value of " + name + " contains the update delimiter");
+    }
+
+    return name + '=' + value;
+  }).join(delimiter);
+}
+
+/**
+ * @ignore
+ */
+var _hex = function(delimiter) {
+  var code = delimiter.charCodeAt(0).toString(16);
+  return code.length == 1 ? '0' + code : code;
+}
+
+exports.insert = insert;
+exports.update = update;
+exports.save = save;
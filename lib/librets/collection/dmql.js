@@ -0,0 +1,260 @@
+var utils = require('../utils');
+
+// Keywords that are passed through untouched
+var KEYWORDS = ['.EMPTY.', '.ANY.', '.TODAY.', '.NOW.'];
+
+// Unquoted literals, everything else is quoted
+var PLAIN_LITERAL = /^[A-Za-z0-9_.]+$/;
+// Date, DateTime and Time literals
+var DATE_LITERAL = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?)?$/;
+var TIME_LITERAL = /^\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?$/;
+// Field names
+var FIELD_NAME = /^[A-Za-z0-9_]+$/;
+
+/**
+ * Compile a selector into a DMQL2 query
+ *
+ *  {ListPrice: {$gte: 300000, $lte: 500000}, Status: {$in: ['A', 'P']}}
+ *
+ * compiles to
+ *
+ *  (ListPrice=300000-500000),(Status=|A,P)
+ *
+ * Supported operators
+ *  - **$eq**, **$ne** equality, a plain value is the same as $eq.
+ *  - **$gte**, **$lte**, **$gt**, **$lt** ranges.
+ *  - **$in**, **$nin**, **$all** lookup lists, an Array value is the same as $in.
+ *  - **$regex** prefix (/^Bos/), suffix (/ton$/) and contains (/ost/) matches, the pattern must be a literal without flags or $options.
+ *  - **$exists** matches fields with (or without) a value.
+ *  - **$not** negates the field operators.
+ *  - **$or**, **$and**, **$nor** combine selectors.
+ *
+ * Dates are formatted as DMQL2 DateTime literals using their UTC value, null matches empty fields.
+ * Negative numbers have no DMQL2 literal (-5 is the range up to 5) and are rejected.
+ * A String selector is considered to be DMQL2 already and returned as is.
+ *
+ * @param {Object|String} selector the selector.
+ * @return {String} the DMQL2 query.
+ * @api private
+ */
+var compile = function compile(selector) {
+  if(typeof selector == 'string') return selector;
+  if(selector == null) return '';
+  if(!utils.isObject(selector)) throw new Error("query selector must be an Object or a DMQL2 String");
+
+  var clauses = [];
+
+  for(var name in selector) {
+    var value = selector[name];
+
+    if(name == '$or' || name == '$and' || name == '$nor') {
+      if(!Array.isArray(value) || value.length == 0) throw new Error(name + " requires a non empty Array of selectors");
+
+      var compiled = value.map(function(s) {
+        return _group(compile(s));
+      });
+
+      if(name == '$and') {
+        clauses.push(compiled.join(','));
+      } else if(name == '$or') {
+        clauses.push('(' + compiled.join('|') + ')');
+      } else {
+        clauses.push('~(' + compiled.join('|') + ')');
+      }
+    } else if(name.charAt(0) == '$') {
+      throw new Error("unsupported query operator " + name);
+    } else {
+      clauses.push(compileField(name, value));
+    }
+  }
+
+  return clauses.join(',');
+}
+
+/**
+ * Compile the criteria for a single field
+ * @ignore
+ */
+var compileField = function(field, value) {
+  if(!FIELD_NAME.test(field)) throw new Error("invalid field name [" + field + "] in query selector");
+
+  // Plain values
+  if(!_isOperatorObject(value)) {
+    if(Array.isArray(value)) return _criteria(field, '|' + _list(field, value));
+    if(utils.isRegExp(value)) return _criteria(field, _pattern(field, value.source, _flags(value)));
+    return _criteria(field, _literal(field, value));
+  }
+
+  var clauses = [];
+  var lower = null;
+  var upper = null;
+
+  for(var operator in value) {
+    var operand = value[operator];
+
+    switch(operator) {
+      case '$eq':
+        clauses.push(_criteria(field, _literal(field, operand)));
+        break;
+      case '$ne':
+        clauses.push('~' + _criteria(field, _literal(field, operand)));
+        break;
+      case '$gte':
+      case '$gt':
+        lower = _literal(field, operand);
+        // There is no exclusive bound in DMQL2, exclude the bound itself
+        if(operator == '$gt') clauses.push('~' + _criteria(field, lower));
+        break;
+      case '$lte':
+      case '$lt':
+        upper = _literal(field, operand);
+        if(operator == '$lt') clauses.push('~' + _criteria(field, upper));
+        break;
+      case '$in':
+        clauses.push(_criteria(field, '|' + _list(field, operand)));
+        break;
+      case '$nin':
+        clauses.push(_criteria(field, '~' + _list(field, operand)));
+        break;
+      case '$all':
+        clauses.push(_criteria(field, '+' + _list(field, operand)));
+        break;
+      case '$regex':
+        var flags = (utils.isRegExp(operand) ? _flags(operand) : '') + (value.$options || '');
+        clauses.push(_criteria(field, _pattern(field, utils.isRegExp(operand) ? operand.source : operand, flags)));
+        break;
+      case '$options':
+        if(value.$regex == null) throw new Error("$options requires $regex on field " + field);
+        break;
+      case '$exists':
+        clauses.push(_criteria(field, operand ? '.ANY.' : '.EMPTY.'));
+        break;
+      case '$not':
+        var negated = {};
+        negated[field] = operand;
+        clauses.push('~' + _group(compile(negated)));
+        break;
+      default:
+        throw new Error("unsupported query operator " + operator + " on field " + field);
+    }
+  }
+
+  // Ranges
+  if(lower != null && upper != null) {
+    clauses.unshift(_criteria(field, lower + '-' + upper));
+  } else if(lower != null) {
+    clauses.unshift(_criteria(field, lower + '+'));
+  } else if(upper != null) {
+    clauses.unshift(_criteria(field, upper + '-'));
+  }
+
+  return clauses.join(',');
+}
+
+/**
+ * Parenthesize a query unless it is a single criteria already
+ * @ignore
+ */
+var _group = function(query) {
+  return /^\([^()"]*\)$/.test(query) ? query : '(' + query + ')';
+}
+
+/**
+ * @ignore
+ */
+var _criteria = function(field, value) {
+  return '(' + field + '=' + value + ')';
+}
+
+/**
+ * @ignore
+ */
+var _literal = function(field, value) {
+  if(value === null) return '.EMPTY.';
+  if(value === undefined) throw new Error("undefined value for field " + field + " in query selector");
+  if(typeof value == 'number') {
+    if(!isFinite(value)) throw new Error("invalid number for field " + field + " in query selector");
+    // A leading minus is the DMQL2 range operator
+    if(value < 0) throw new Error("negative number for field " + field + " cannot be expressed in DMQL2");
+    return String(value);
+  }
+  if(typeof value == 'boolean') return value ? '1' : '0';
+  if(utils.isDate(value)) return _formatDate(value);
+  if(typeof value != 'string') throw new Error("unsupported value for field " + field + " in query selector");
+
+  // Keywords, dates and simple values don't need quoting
+  if(KEYWORDS.indexOf(value) != -1
+    || DATE_LITERAL.test(value)
+    || TIME_LITERAL.test(value)
+    || PLAIN_LITERAL.test(value)) return value;
+
+  if(/[\x00-\x1f]/.test(value)) throw new Error("invalid control character in value for field " + field);
+  return '"' + value.replace(/"/g, '""') + '"';
+}
+
+/**
+ * @ignore
+ */
+var _list = function(field, values) {
+  if(!Array.isArray(values) || values.length == 0) throw new Error("lookup list for field " + field + " must be a non empty Array");
+
+  return values.map(function(value) {
+    return _literal(field, value);
+  }).join(',');
+}
+
+/**
+ * Turn a literal regular expression into a DMQL2 pattern
+ * @ignore
+ */
+var _pattern = function(field, source, flags) {
+  // DMQL2 patterns are matched the way the server compares the field
+  if(flags) throw new Error("regular expression options [" + flags + "] are not supported on field " + field);
+
+  var prefix = source.charAt(0) == '^';
+  var suffix = /(^|[^\\])\$$/.test(source);
+  var literal = source.substring(prefix ? 1 : 0, suffix ? source.length - 1 : source.length);
+  // Unescape escaped characters
+  var unescaped = literal.replace(/\\(.)/g, '$1');
+
+  if(/(^|[^\\])[.*+?()[\]{}|^$]/.test(literal) || !PLAIN_LITERAL.test(unescaped.replace(/ /g, '_')) || unescaped.length == 0)
+    throw new Error("only literal regular expressions (/^abc/, /abc$/, /abc/) are supported on field " + field);
+
+  // Spaces are not allowed in DMQL2 patterns, match any character
+  unescaped = unescaped.replace(/ /g, '?');
+  return (prefix ? '' : '*') + unescaped + (suffix ? '' : '*');
+}
+
+/**
+ * @ignore
+ */
+var _flags = function(regexp) {
+  return (regexp.global ? 'g' : '') + (regexp.ignoreCase ? 'i' : '') + (regexp.multiline ? 'm' : '');
+}
+
+/**
+ * @ignore
+ */
+var _formatDate = function(date) {
+  var pad = function(value, length) {
+    value = String(value);
+    while(value.length < length) value = '0' + value;
+    return value;
+  }
+
+  return pad(date.getUTCFullYear(), 4) + '-' + pad(date.getUTCMonth() + 1, 2) + '-' + pad(date.getUTCDate(), 2)
+    + 'T' + pad(date.getUTCHours(), 2) + ':' + pad(date.getUTCMinutes(), 2) + ':' + pad(date.getUTCSeconds(), 2)
+    + (date.getUTCMilliseconds() > 0 ? '.' + pad(date.getUTCMilliseconds(), 3) : '');
+}
+
+/**
+ * @ignore
+ */
+var _isOperatorObject = function(value) {
+  if(!utils.isObject(value)) return false;
+  var keys = Object.keys(value);
+  return keys.length > 0 && keys[0].charAt(0) == '$';
+}
+
+exports.compile = compile;
+exports.formatDate = _formatDate;
@@ -1,56 +1,109 @@
-var _getWriteConcern = require('./shared')._getWriteConcern;
+var LocalRecords = require('../local_index').LocalRecords
+  , shared = require('./shared')
+  , dmql = require('./dmql');
 
 var createIndex = function createIndex (fieldOrSpec, options, callback) {
+  var self = this;
   // Clean up call
   var args = Array.prototype.slice.call(arguments, 1);
   callback = args.pop();
   options = args.length ? args.shift() || {} : {};
-  options = typeof callback === 'function' ? options : callback;
-  options = options == null ? {} : options;
 
-  // Collect errorOptions
-  var errorOptions = _getWriteConcern(this, options);
-  // Execute create index
-  this.db.createIndex(this.collectionName, fieldOrSpec, options, callback);
+  try {
+    var fields = _indexFields(fieldOrSpec);
+    var name = options.name || fields.map(function(field) { return field + '_1'; }).join('_');
+    var search = _syncSearch(fields, options);
+  } catch(err) {
+    return callback(err, null);
+  }
+
+  if(this.localRecords == null) this.localRecords = new LocalRecords(this.collectionName, options.directory);
+  if(options.directory != null) this.localRecords.directory = options.directory;
+  var localRecords = this.localRecords;
+
+  _syncRecords(self, search, options, function(err) {
+    if(err) return callback(err, null);
+
+    localRecords.addIndex(name, fields);
+    localRecords.write(function(err) {
+      if(err) return callback(err, null);
+      callback(null, name);
+    });
+  });
 };
 
-var indexExists = function indexExists(indexes, callback) {
- this.indexInformation(function(err, indexInformation) {
-   // If we have an error return
-   if(err != null) return callback(err, null);
-   // Let's check for the index names
-   if(Array.isArray(indexes)) {
-     for(var i = 0; i < indexes.length; i++) {
-       if(indexInformation[indexes[i]] == null) {
-         return callback(null, false);
-       }
-     }
-
-     // All keys found return true
-     return callback(null, true);
-   } else {
-     return callback(null, indexInformation[indexes] != null);
-   }
- });
+var indexExists = function indexExists(indexes, options, callback) {
+  if(typeof options === 'function') { callback = options; options = {}; }
+
+  this.indexInformation(options, function(err, indexInformation) {
+    // If we have an error return
+    if(err != null) return callback(err, null);
+    // Let's check for the index names
+    if(Array.isArray(indexes)) {
+      for(var i = 0; i < indexes.length; i++) {
+        if(indexInformation[indexes[i]] == null) {
+          return callback(null, false);
+        }
+      }
+
+      // All keys found return true
+      return callback(null, true);
+    } else {
+      return callback(null, indexInformation[indexes] != null);
+    }
+  });
 }
 
 var dropAllIndexes = function dropIndexes (callback) {
-  this.db.dropIndex(this.collectionName, '*', function (err, result) {
+  var localRecords = this.localRecords;
+  this.localRecords = null;
+  if(localRecords == null) return callback(null, true);
+
+  localRecords.drop(function(err) {
     if(err) return callback(err, false);
     callback(null, true);
   });
 };
 
 var indexInformation = function indexInformation (options, callback) {
+  var self = this;
   // Unpack calls
   var args = Array.prototype.slice.call(arguments, 0);
   callback = args.pop();
   options = args.length ? args.shift() || {} : {};
-  // Call the index information
-  this.db.indexInformation(this.collectionName, options, callback);
+
+  if(this.className == null) {
+    return callback(new Error("collection name must be in the format Resource:Class to read its indexes"), null);
+  }
+
+  this.db._searchMetadata(this.resourceName, this.className, function(err, metadata) {
+    if(err) return callback(err, null);
+
+    try {
+      var keyField = shared._keyField(metadata, self.resourceName, self.className);
+    } catch(err) {
+      return callback(err, null);
+    }
+
+    var metadataClass = metadata.class(self.resourceName, self.className);
+    var information = {};
+
+    metadataClass.tables.forEach(function(table) {
+      var key = table.SystemName == keyField || table.StandardName == keyField;
+      var index = table.Index == '1';
+      var searchable = table.Searchable == '1';
+      if(!key && !index && !searchable) return;
+
+      var name = options.standardNames && table.StandardName ? table.StandardName : table.SystemName;
+      information[name] = {key: key, index: index, searchable: searchable};
+    });
+
+    callback(null, information);
+  });
 };
 
 var ensureIndex = function ensureIndex (fieldOrSpec, options, callback) {
+  var self = this;
   // Clean up call
   if (typeof callback === 'undefined' && typeof options === 'function') {
     callback = options;
@@ -61,10 +114,103 @@ var ensureIndex = function ensureIndex (fieldOrSpec, options, callback) {
     options = {};
   }
 
-  // Execute create index
-  this.db.ensureIndex(this.collectionName, fieldOrSpec, options, callback);
+  try {
+    var fields = _indexFields(fieldOrSpec);
+    var name = options.name || fields.map(function(field) { return field + '_1'; }).join('_');
+  } catch(err) {
+    return callback(err, null);
+  }
+
+  var exists = function() {
+    return self.localRecords != null && self.localRecords.records != null && self.localRecords.indexes[name] != null;
+  }
+
+  if(exists()) return callback(null, name);
+
+  // Indexes persisted by an earlier process are reused as they are
+  if(this.localRecords == null) this.localRecords = new LocalRecords(this.collectionName, options.directory);
+  if(this.localRecords.records != null) return this.createIndex(fieldOrSpec, options, callback);
+
+  this.localRecords.read(function(err) {
+    if(err) return callback(err, null);
+    if(exists()) return callback(null, name);
+    self.createIndex(fieldOrSpec, options, callback);
+  });
 };
 
+/**
+ * The fields of an index specification, 'field', ['a', 'b'], [['a', 1]] or {a: 1}
+ * @ignore
+ */
+var _indexFields = function(fieldOrSpec) {
+  var fields = [];
+
+  if(typeof fieldOrSpec == 'string') {
+    fields = [fieldOrSpec];
+  } else if(Array.isArray(fieldOrSpec)) {
+    fields = fieldOrSpec.map(function(field) { return Array.isArray(field) ? field[0] : field; });
+  } else if(fieldOrSpec != null && typeof fieldOrSpec == 'object') {
+    fields = Object.keys(fieldOrSpec);
+  }
+
+  if(fields.length == 0) throw new Error("an index needs at least one field");
+  return fields;
+}
+
+/**
+ * The Search syncing the records of an index
+ * @ignore
+ */
+var _syncSearch = function(fields, options) {
+  var selector = options.query;
+
+  // Without a query all the records with a value for the first field are synced
+  if(selector == null) {
+    selector = {};
+    selector[fields[0]] = {$exists: true};
+  }
+
+  return {
+      selector: selector
+    , query: dmql.compile(selector)
+    , standardNames: options.standardNames == true
+    , format: options.format != null ? options.format : 'COMPACT-DECODED'
+  };
+}
+
+/**
+ * Make sure the local records are synced with the Search, from memory, disk or the server
+ * @ignore
+ */
+var _syncRecords = function(self, search, options, callback) {
+  var localRecords = self.localRecords;
+  // Without a query the records synced for another index are shared when they hold all the records of the Search
+  var synced = function() {
+    return localRecords.syncedWith(search) || (options.query == null && localRecords.covers(search));
+  }
+
+  if(synced() && !options.refresh) return callback(null);
+
+  var fetch = function() {
+    // Records are kept as sent by the server, cursors using Data Dictionary names are matched against the SystemNames
+    var searchOptions = {standardNames: search.standardNames, format: search.format, local: false, dataDictionary: false, raw: true};
+
+    self.find(search.selector, searchOptions).toArray(function(err, records) {
+      if(err) return callback(err);
+      localRecords.load(records, search);
+      callback(null);
+    });
+  }
+
+  if(options.refresh || localRecords.records != null) return fetch();
+
+  localRecords.read(function(err) {
+    if(err) return callback(err);
+    if(synced()) return callback(null);
+    fetch();
+  });
+}
+
 exports.createIndex = createIndex;
 exports.indexExists = indexExists;
 exports.dropAllIndexes = dropAllIndexes;
@@ -0,0 +1,11 @@
+var getObject = function getObject(type, ids, options, callback) {
+  // Objects belong to the entities of the collection resource
+  this.db.getObject(this.resourceName, type, ids, options, callback);
+}
+
+var postObject = function postObject(type, resourceId, objects, options, callback) {
+  this.db.postObject(this.resourceName, type, resourceId, objects, options, callback);
+}
+
+exports.getObject = getObject;
+exports.postObject = postObject;
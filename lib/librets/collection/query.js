@@ -1,12 +1,13 @@
-var ObjectID = require('bson').ObjectID
-  , Scope = require('../scope').Scope
+var Scope = require('../scope').Scope
   , shared = require('./shared')
+  , dmql = require('./dmql')
   , utils = require('../utils');
 
 var testForFields = {
     limit: 1, sort: 1, fields:1, skip: 1, hint: 1, explain: 1, snapshot: 1, timeout: 1, tailable: 1, tailableRetryInterval: 1
   , numberOfRetries: 1, awaitdata: 1, exhaust: 1, batchSize: 1, returnKey: 1, maxScan: 1, min: 1, max: 1, showDiskLoc: 1
-  , comment: 1, raw: 1, readPreference: 1, partial: 1, read: 1, dbName: 1, oplogReplay: 1
+  , comment: 1, raw: 1, readPreference: 1, partial: 1, read: 1, dbName: 1, oplogReplay: 1, standardNames: 1, format: 1
+  , local: 1, dataDictionary: 1, promoteLongs: 1
 };
 
 //
@@ -61,31 +62,13 @@ var find = function find () {
 
   // Ensure selector is not null
   selector = selector == null ? {} : selector;
-  // Validate correctness off the selector
-  var object = selector;
-  if(Buffer.isBuffer(object)) {
-    var object_size = object[0] | object[1] << 8 | object[2] << 16 | object[3] << 24;
-    if(object_size != object.length)  {
-      var error = new Error("query selector raw message size does not match message header size [" + object.length + "] != [" + object_size + "]");
-      error.name = 'MongoError';
-      throw error;
-    }
-  }
-
-  // Validate correctness of the field selector
-  var object = fields;
-  if(Buffer.isBuffer(object)) {
-    var object_size = object[0] | object[1] << 8 | object[2] << 16 | object[3] << 24;
-    if(object_size != object.length)  {
-      var error = new Error("query fields raw message size does not match message header size [" + object.length + "] != [" + object_size + "]");
-      error.name = 'MongoError';
-      throw error;
-    }
-  }
-
-  // Check special case where we are using an objectId
-  if(selector instanceof ObjectID || (selector != null && selector._bsontype == 'ObjectID')) {
-    selector = {_id:selector};
+  // Compile the selector into the DMQL2 query of the Search, without a callback the cursor
+  // returns the error of an invalid selector on the first read
+  try {
+    var query = dmql.compile(selector);
+  } catch(err) {
+    if(callback) return callback(err, null);
+    query = null;
   }
 
   // If it's a serialized fields field we need to just let it through
@@ -124,8 +107,9 @@ var find = function find () {
   // Adjust slave ok if read preference is secondary or secondary only
   if(o.read == "secondary" || o.read == "secondaryOnly") options.slaveOk = true;
 
-  // Set the selector
-  o.selector = selector;  
+  // Set the selector and the compiled query
+  o.selector = selector;
+  o.query = query;
 
   // Create precursor
   var scope = new Scope(this, {}, fields, o);
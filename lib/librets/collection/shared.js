@@ -1,55 +1,51 @@
 // ***************************************************
-// Write concerns
+// Update options
 // ***************************************************
-var _hasWriteConcern = function(errorOptions) {
-  return errorOptions == true
-    || errorOptions.w > 0
-    || errorOptions.w == 'majority'
-    || errorOptions.j == true
-    || errorOptions.journal == true
-    || errorOptions.fsync == true
+var _validateValue = function(validate) {
+  if(validate == null || validate === false) return 0;
+  if(validate === true) return 1;
+  if(validate === 0 || validate === 1 || validate === 2) return validate;
+  throw new Error("validate must be 0 (commit), 1 (validate only) or 2 (auto-populate)");
 }
 
-var _setWriteConcernHash = function(options) {
-  var finalOptions = {};
-  if(options.w != null) finalOptions.w = options.w;  
-  if(options.journal == true) finalOptions.j = options.journal;
-  if(options.j == true) finalOptions.j = options.j;
-  if(options.fsync == true) finalOptions.fsync = options.fsync;
-  if(options.wtimeout != null) finalOptions.wtimeout = options.wtimeout;  
-  return finalOptions;
-}
-
-var _getWriteConcern = function(self, options) {
-  // Final options
-  var finalOptions = {w:1};
-  // Local options verification
-  if(options.w != null || typeof options.j == 'boolean' || typeof options.journal == 'boolean' || typeof options.fsync == 'boolean') {
-    finalOptions = _setWriteConcernHash(options);
-  } else if(typeof options.safe == "boolean") {
-    finalOptions = {w: (options.safe ? 1 : 0)};
-  } else if(options.safe != null && typeof options.safe == 'object') {
-    finalOptions = _setWriteConcernHash(options.safe);
-  } else if(self.opts.w != null || typeof self.opts.j == 'boolean' || typeof self.opts.journal == 'boolean' || typeof self.opts.fsync == 'boolean') {
-    finalOptions = _setWriteConcernHash(self.opts);
-  } else if(typeof self.opts.safe == "boolean") {
-    finalOptions = {w: (self.opts.safe ? 1 : 0)};
-  } else if(self.db.safe.w != null || typeof self.db.safe.j == 'boolean' || typeof self.db.safe.journal == 'boolean' || typeof self.db.safe.fsync == 'boolean') {
-    finalOptions = _setWriteConcernHash(self.db.safe);
-  } else if(self.db.options.w != null || typeof self.db.options.j == 'boolean' || typeof self.db.options.journal == 'boolean' || typeof self.db.options.fsync == 'boolean') {
-    finalOptions = _setWriteConcernHash(self.db.options);
-  } else if(typeof self.db.safe == "boolean") {
-    finalOptions = {w: (self.db.safe ? 1 : 0)};
+/**
+ * Resolve the Validate mode and warning responses of an Update, the options of the call
+ * take precedence over the options of the collection and the db.
+ * @ignore
+ */
+var _getUpdateOptions = function(self, options) {
+  var sources = [options, self.opts, self.db.options];
+  var finalOptions = {validate: 0, warningResponse: null};
+
+  for(var i = sources.length - 1; i >= 0; i--) {
+    if(sources[i] == null) continue;
+    if(sources[i].validate != null) finalOptions.validate = _validateValue(sources[i].validate);
+    if(sources[i].warningResponse != null) finalOptions.warningResponse = sources[i].warningResponse;
   }
 
-  // Ensure we don't have an invalid combination of write concerns
-  if(finalOptions.w < 1 
-    && (finalOptions.journal == true || finalOptions.j == true || finalOptions.fsync == true)) throw new Error("No acknowlegement using w < 1 cannot be combined with journal:true or fsync:true");
+  var warningResponse = finalOptions.warningResponse;
+  if(warningResponse != null && typeof warningResponse != 'function' && typeof warningResponse != 'object') {
+    throw new Error("warningResponse must be a function or an object of responses keyed by warning number");
+  }
 
   // Return the options
   return finalOptions;
 }
 
+/**
+ * The dataDictionary option of an operation, defaults to the option of the collection and the db
+ * @ignore
+ */
+var _getDataDictionary = function(self, options) {
+  var sources = [options, self.opts, self.db.options];
+
+  for(var i = 0; i < sources.length; i++) {
+    if(sources[i] != null && sources[i].dataDictionary != null) return sources[i].dataDictionary || false;
+  }
+
+  return false;
+}
+
 var _getReadConcern = function(self, options) {
   if(options.readPreference) return options.readPreference;
   if(self.readPreference) return self.readPreference;
@@ -58,6 +54,7 @@ var _getReadConcern = function(self, options) {
 }
 
 /**
+ * Check the syntax of a Resource:Class collection name, the class is optional
  * @ignore
  */
 var checkCollectionName = function checkCollectionName (collectionName) {
@@ -65,25 +62,83 @@ var checkCollectionName = function checkCollectionName (collectionName) {
     throw Error("collection name must be a String");
   }
 
-  if(!collectionName || collectionName.indexOf('..') != -1) {
+  if(!collectionName) {
     throw Error("collection names cannot be empty");
   }
 
-  if(collectionName.indexOf('$') != -1 &&
-      collectionName.match(/((^\$cmd)|(oplog\.\$main))/) == null) {
-    throw Error("collection names must not contain '$'");
+  var names = collectionName.split(':');
+  if(names.length > 2) {
+    throw Error("collection names must be Resource:Class, " + collectionName + " contains more than one ':'");
   }
 
-  if(collectionName.match(/^\.|\.$/) != null) {
-    throw Error("collection names must not start or end with '.'");
+  if(names[0] == '' || (names.length == 2 && names[1] == '')) {
+    throw Error("collection names must be Resource:Class, " + collectionName + " has an empty resource or class");
   }
 
-  // Validate that we are not passing 0x00 in the colletion name
-  if(!!~collectionName.indexOf("\x00")) {
-    throw new Error("collection names cannot contain a null character");
+  // Resource and class names are plain identifiers
+  if(collectionName.match(/[\s\x00-\x1f]/) != null) {
+    throw Error("collection names cannot contain whitespace or control characters");
   }
 };
 
+/**
+ * Resolve the resource and class of a collection name against the metadata, resources are matched by
+ * ResourceID or StandardName and classes by ClassName or StandardName. Returns the ResourceID and ClassName.
+ * @ignore
+ */
+var resolveCollectionName = function resolveCollectionName (metadata, resourceName, className) {
+  var resource = metadata.resource(resourceName);
+  if(resource == null) {
+    throw Error("resource " + resourceName + " does not exist, valid resources are "
+      + _names(metadata.resources, 'ResourceID'));
+  }
+
+  if(className == null) return {resourceName: resource.ResourceID, className: null};
+
+  var metadataClass = metadata.class(resource.ResourceID, className);
+  if(metadataClass == null) {
+    throw Error("class " + className + " does not exist in resource " + resource.ResourceID + ", valid classes are "
+      + _names(resource.classes, 'ClassName'));
+  }
+
+  return {resourceName: resource.ResourceID, className: metadataClass.ClassName};
+};
+
+/**
+ * @ignore
+ */
+var _names = function(rows, key) {
+  if(rows.length == 0) return "none";
+
+  return rows.map(function(row) {
+    return row.StandardName && row.StandardName != row[key] ? row[key] + " (" + row.StandardName + ")" : row[key];
+  }).join(', ');
+}
+
+
+/**
+ * The KeyField of a class, classes may override the KeyField of their resource
+ * @ignore
+ */
+var _keyField = function(metadata, resourceName, className) {
+  var metadataClass = metadata.class(resourceName, className);
+  if(metadataClass == null) throw new Error("class " + className + " of resource " + resourceName + " not found in the metadata");
+
+  return metadataClass.KeyField || metadata.resource(resourceName).KeyField || null;
+};
+
+/**
+ * The DMQL2 query matching every record of a class, RETS has no empty query so the KeyField has to have a value
+ * @ignore
+ */
+var _matchAllQuery = function(metadata, resourceName, className, standardNames) {
+  var keyField = _keyField(metadata, resourceName, className);
+  if(!keyField) throw new Error("class " + className + " of resource " + resourceName + " has no KeyField, a query selector is required");
+
+  var table = metadata.table(resourceName, className, keyField);
+  var name = table == null ? keyField : (standardNames && table.StandardName ? table.StandardName : table.SystemName);
+  return '(' + name + '=.ANY.)';
+};
 
 /**
  * Normalizes a `hint` argument.
@@ -113,8 +168,11 @@ var normalizeHintField = function normalizeHintField(hint) {
   return finalHint;
 };
 
-exports._getWriteConcern = _getWriteConcern;
-exports._hasWriteConcern = _hasWriteConcern;
+exports._getUpdateOptions = _getUpdateOptions;
 exports._getReadConcern = _getReadConcern;
+exports._getDataDictionary = _getDataDictionary;
+exports._keyField = _keyField;
+exports._matchAllQuery = _matchAllQuery;
 exports.checkCollectionName = checkCollectionName;
+exports.resolveCollectionName = resolveCollectionName;
 exports.normalizeHintField = normalizeHintField;
\ No newline at end of file
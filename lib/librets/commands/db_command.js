@@ -1,7 +1,6 @@
 var QueryCommand = require('./query_command').QueryCommand,
   inherits = require('util').inherits,
-  utils = require('../utils'),
-  crypto = require('crypto');
+  utils = require('../utils');
 
 /**
   Db Command
@@ -57,26 +56,6 @@ DbCommand.createCollectionInfoCommand = function(db, selector) {
   return new DbCommand(db, db.databaseName + "." + DbCommand.SYSTEM_NAMESPACE_COLLECTION, QueryCommand.OPTS_NO_CURSOR_TIMEOUT, 0, 0, selector, null);
 };
 
-DbCommand.createGetNonceCommand = function(db, options) {
-  return new DbCommand(db, db.databaseName + "." + DbCommand.SYSTEM_COMMAND_COLLECTION, QueryCommand.OPTS_NO_CURSOR_TIMEOUT, 0, -1, {'getnonce':1}, null);
-};
-
-DbCommand.createAuthenticationCommand = function(db, username, password, nonce, authdb) {
-  // Use node md5 generator
-  var md5 = crypto.createHash('md5');
-  // Generate keys used for authentication
-  md5.update(username + ":mongo:" + password);
-  var hash_password = md5.digest('hex');
-  // Final key
-  md5 = crypto.createHash('md5');
-  md5.update(nonce + username + hash_password);
-  var key = md5.digest('hex');
-  // Creat selector
-  var selector = {'authenticate':1, 'user':username, 'nonce':nonce, 'key':key};
-  // Create db command
-  return new DbCommand(db, authdb + "." + DbCommand.SYSTEM_COMMAND_COLLECTION, QueryCommand.OPTS_NONE, 0, -1, selector, null);
-};
-
 DbCommand.createLogoutCommand = function(db) {
   return new DbCommand(db, db.databaseName + "." + DbCommand.SYSTEM_COMMAND_COLLECTION, QueryCommand.OPTS_NO_CURSOR_TIMEOUT, 0, -1, {'logout':1}, null);
 };
@@ -0,0 +1,70 @@
+var BaseCommand = require('./base_command').BaseCommand,
+  inherits = require('util').inherits;
+
+/**
+  RETS transaction Command
+**/
+var RETSCommand = exports.RETSCommand = function(db, transaction, parameters, options) {
+  BaseCommand.call(this);
+  this.db = db;
+  this.transaction = transaction;
+  this.parameters = parameters == null ? {} : parameters;
+
+  // Make sure we don't get a null exception
+  options = options == null ? {} : options;
+
+  // Set up the HTTP details of the transaction
+  this.method = options.method != null ? options.method : 'GET';
+  this.headers = options.headers != null ? options.headers : {};
+  this.body = options.body;
+};
+
+inherits(RETSCommand, BaseCommand);
+
+// Transactions, named after the capability URL used to issue them
+RETSCommand.LOGIN = 'Login';
+RETSCommand.ACTION = 'Action';
+RETSCommand.SEARCH = 'Search';
+RETSCommand.GET_METADATA = 'GetMetadata';
+RETSCommand.GET_OBJECT = 'GetObject';
+RETSCommand.LOGOUT = 'Logout';
+RETSCommand.UPDATE = 'Update';
+RETSCommand.POST_OBJECT = 'PostObject';
+
+// Provide constructors for the different transactions
+RETSCommand.createLoginCommand = function(db) {
+  return new RETSCommand(db, RETSCommand.LOGIN, {});
+};
+
+RETSCommand.createActionCommand = function(db) {
+  return new RETSCommand(db, RETSCommand.ACTION, {});
+};
+
+RETSCommand.createSearchCommand = function(db, parameters) {
+  return new RETSCommand(db, RETSCommand.SEARCH, parameters);
+};
+
+RETSCommand.createGetMetadataCommand = function(db, type, id) {
+  return new RETSCommand(db, RETSCommand.GET_METADATA, {Type: 'METADATA-' + type, ID: id == null ? '0' : id, Format: 'COMPACT'});
+};
+
+RETSCommand.createGetObjectCommand = function(db, parameters, accept) {
+  return new RETSCommand(db, RETSCommand.GET_OBJECT, parameters, {headers: {'Accept': accept == null ? '*/*' : accept}});
+};
+
+RETSCommand.createLogoutCommand = function(db) {
+  return new RETSCommand(db, RETSCommand.LOGOUT, {});
+};
+
+RETSCommand.createUpdateCommand = function(db, parameters) {
+  // Records can be long, send them in the request body
+  return new RETSCommand(db, RETSCommand.UPDATE, parameters, {method: 'POST'});
+};
+
+RETSCommand.createPostObjectCommand = function(db, body, boundary) {
+  return new RETSCommand(db, RETSCommand.POST_OBJECT, {}, {
+      method: 'POST'
+    , headers: {'Content-Type': 'multipart/form-data; boundary=' + boundary}
+    , body: body
+  });
+};
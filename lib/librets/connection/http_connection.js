@@ -0,0 +1,231 @@
+var http = require('http'),
+  https = require('https'),
+  querystring = require('querystring'),
+  EventEmitter = require('events').EventEmitter,
+  inherits = require('util').inherits;
+
+/**
+ * Class representing the HTTP(S) transport used for a single RETS session. Keeps
+ * the cookies handed out by the server (RETS-Session-ID etc) so they are sent back
+ * on every following request.
+ *
+ * Options
+ *  - **host** {String, default:localhost}, the RETS server host.
+ *  - **port** {Number, default:80 or 443}, the RETS server port.
+ *  - **ssl** {Boolean, default:false}, use https when talking to the server.
+ *  - **sslValidate** {Boolean, default:false}, validate the server certificate against sslCA.
+ *  - **sslCA** {Array, default:null}, Array of valid certificates either as Buffers or Strings.
+ *  - **connectTimeoutMS** {Number, default:0}, how long to wait for a connection to be established.
+ *  - **socketTimeoutMS** {Number, default:0}, how long to wait on an idle socket before failing the request.
+ *  - **poolSize** {Number, default:5}, the maximum number of concurrent sockets to the server.
+ *
+ * @class Represents a HTTP connection to a RETS server.
+ * @param {Object} [socketOptions] the socket options.
+ */
+var HttpConnection = exports.HttpConnection = function(socketOptions) {
+  // Set up event emitter
+  EventEmitter.call(this);
+  // Store all socket options
+  this.socketOptions = socketOptions ? socketOptions : {host:'localhost', ssl:false};
+  // Default the port on the protocol used
+  if(this.socketOptions.port == null) this.socketOptions.port = this.socketOptions.ssl ? 443 : 80;
+  // Cookies set by the server
+  this.cookies = {};
+  // Socket pools
+  var poolSize = this.socketOptions.poolSize != null ? this.socketOptions.poolSize : 5;
+  this.httpAgent = new http.Agent({maxSockets: poolSize});
+  this.httpsAgent = new https.Agent({maxSockets: poolSize});
+}
+
+// Inherit event emitter so we can emit stuff
+inherits(HttpConnection, EventEmitter);
+
+/**
+ * Perform a request against the server.
+ *
+ * Options
+ *  - **method** {String, default:GET}, the HTTP method.
+ *  - **host** {String}, override the host for capability URLs pointing at another server.
+ *  - **port** {Number}, override the port for capability URLs pointing at another server.
+ *  - **ssl** {Boolean}, override the protocol for capability URLs pointing at another server.
+ *  - **path** {String}, the path (including any existing query string) of the request.
+ *  - **parameters** {Object}, the request parameters, added to the query string for GET and form encoded for POST.
+ *  - **headers** {Object}, additional request headers.
+ *  - **body** {Buffer|String}, raw request body, overrides the form encoded parameters.
+ *  - **authorization** {Function}, called with the final method and path, returns the Authorization header for the request.
+ *  - **stream** {Boolean, default:false}, call back as soon as the response headers arrive with the response stream as body.
+ *
+ * @param {Object} options the request options.
+ * @param {Function} callback this will be called with an error or a response object {statusCode, headers, body}.
+ * @return {null}
+ * @api private
+ */
+HttpConnection.prototype.request = function(options, callback) {
+  var self = this;
+  var method = options.method || 'GET';
+  var ssl = options.ssl != null ? options.ssl : this.socketOptions.ssl;
+  var host = options.host != null ? options.host : this.socketOptions.host;
+  var port = options.port != null ? options.port : (options.host != null ? (ssl ? 443 : 80) : this.socketOptions.port);
+  var path = options.path || '/';
+  var headers = {};
+  var body = options.body;
+
+  // Copy the request headers
+  for(var name in options.headers) {
+    if(options.headers[name] != null) headers[name] = options.headers[name];
+  }
+
+  // Encode the parameters
+  var parameters = options.parameters != null ? querystring.stringify(options.parameters) : '';
+  if(method == 'GET' && parameters.length > 0) {
+    path = path + (path.indexOf('?') == -1 ? '?' : '&') + parameters;
+  } else if(method == 'POST' && body == null) {
+    body = parameters;
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  }
+
+  // Sign the request, Digest needs the final uri
+  if(typeof options.authorization == 'function') {
+    var authorization = options.authorization(method, path);
+    if(authorization != null) headers['Authorization'] = authorization;
+  }
+
+  // Add the session cookies
+  var cookie = this.cookieHeader();
+  if(cookie.length > 0) headers['Cookie'] = cookie;
+  if(body != null) headers['Content-Length'] = Buffer.byteLength(body);
+
+  var requestOptions = {
+      host: host
+    , port: port
+    , method: method
+    , path: path
+    , headers: headers
+    , agent: ssl ? this.httpsAgent : this.httpAgent
+  };
+
+  // Set up the certificate validation
+  if(ssl) {
+    requestOptions.rejectUnauthorized = this.socketOptions.sslValidate == true;
+    if(this.socketOptions.sslCA) requestOptions.ca = this.socketOptions.sslCA;
+  }
+
+  if(this.logger != null && this.logger.doDebug)
+    this.logger.debug("writing request to rets server", {method: method, path: path, headers: headers});
+
+  // Ensure we only call back once
+  var internalCallback = function(err, response) {
+    if(callback == null) return;
+    var _callback = callback;
+    callback = null;
+    _callback(err, response);
+  }
+
+  // Body handed to the caller when streaming
+  var streamed = null;
+
+  var req = (ssl ? https : http).request(requestOptions, function(res) {
+    // Save any cookies returned
+    self.setCookies(res.headers['set-cookie']);
+
+    // Let the caller consume the body
+    if(options.stream) {
+      streamed = res;
+      return internalCallback(null, {statusCode: res.statusCode, headers: res.headers, body: res});
+    }
+
+    var chunks = [];
+    res.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+
+    res.on('end', function() {
+      internalCallback(null, {statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks)});
+    });
+
+    res.on('error', internalCallback);
+  });
+
+  // Fail if the connection cannot be established in time
+  if(this.socketOptions.connectTimeoutMS > 0) {
+    var connectTimer = setTimeout(function() {
+      req.abort();
+      internalCallback(new Error('connection to [' + host + ':' + port + '] timed out'));
+    }, this.socketOptions.connectTimeoutMS);
+
+    req.on('socket', function(socket) {
+      // Pooled sockets are already connected
+      if(socket.connecting || socket._connecting) {
+        socket.once('connect', function() {
+          clearTimeout(connectTimer);
+        });
+      } else {
+        clearTimeout(connectTimer);
+      }
+    });
+
+    req.on('error', function() {
+      clearTimeout(connectTimer);
+    });
+  }
+
+  // Handle timeouts on the socket
+  if(this.socketOptions.socketTimeoutMS > 0) {
+    req.setTimeout(this.socketOptions.socketTimeoutMS, function() {
+      var err = new Error('request to [' + host + ':' + port + '] timed out');
+      // A streamed body fails with the timeout before the abort is seen
+      if(streamed != null) streamed.emit('error', err);
+      req.abort();
+      internalCallback(err);
+    });
+  }
+
+  req.on('error', function(err) {
+    internalCallback(new Error('failed to connect to [' + host + ':' + port + '] ' + err.message));
+  });
+
+  if(body != null) req.write(body);
+  req.end();
+}
+
+/**
+ * Store the cookies from a set-cookie header.
+ *
+ * @param {Array} setCookie the set-cookie header values.
+ * @return {null}
+ * @api private
+ */
+HttpConnection.prototype.setCookies = function(setCookie) {
+  if(setCookie == null) return;
+  if(!Array.isArray(setCookie)) setCookie = [setCookie];
+
+  for(var i = 0; i < setCookie.length; i++) {
+    var pair = setCookie[i].split(';')[0];
+    var index = pair.indexOf('=');
+    if(index == -1) continue;
+    this.cookies[pair.substr(0, index).trim()] = pair.substr(index + 1).trim();
+  }
+}
+
+/**
+ * Build the Cookie header value from the stored cookies.
+ *
+ * @return {String}
+ * @api private
+ */
+HttpConnection.prototype.cookieHeader = function() {
+  var self = this;
+  return Object.keys(this.cookies).map(function(name) {
+    return name + '=' + self.cookies[name];
+  }).join('; ');
+}
+
+/**
+ * Forget all the session cookies.
+ *
+ * @return {null}
+ * @api private
+ */
+HttpConnection.prototype.resetCookies = function() {
+  this.cookies = {};
+}
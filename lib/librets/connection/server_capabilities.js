@@ -1,7 +1,12 @@
-var ServerCapabilities = function() {  
+/**
+ * Capabilities of the server, derived from its metadata
+ *
+ * - **hasDataDictionary** the METADATA-TABLE rows carry RESO Data Dictionary StandardNames.
+ */
+var ServerCapabilities = function(metadata) {  
   // Capabilities
   var certified = true;
-  var dataDictionary = true;
+  var dataDictionary = _hasStandardNames(metadata);
 
   // Map up read only parameters
   setup_get_property(this, "isCertified", certified);
@@ -15,4 +20,17 @@ var setup_get_property = function(object, name, value) {
   });  
 }
 
+/**
+ * @ignore
+ */
+var _hasStandardNames = function(metadata) {
+  if(metadata == null || !Array.isArray(metadata.resources)) return false;
+
+  return metadata.resources.some(function(resource) {
+    return resource.classes.some(function(metadataClass) {
+      return metadataClass.tables.some(function(table) { return !!table.StandardName; });
+    });
+  });
+}
+
 exports.ServerCapabilities = ServerCapabilities;
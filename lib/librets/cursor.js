@@ -0,0 +1,701 @@
+var RETSCommand = require('./commands/rets_command').RETSCommand
+  , libRETSReply = require('./responses/librets_reply').libRETSReply
+  , StandardXMLReply = require('./responses/standard_xml_reply').StandardXMLReply
+  , CursorStream = require('./cursorstream').CursorStream
+  , DataDictionary = require('./data_dictionary').DataDictionary
+  , Coercion = require('./coercion').Coercion
+  , dmql = require('./collection/dmql')
+  , shared = require('./collection/shared')
+  , utils = require('./utils');
+
+// Set processor, setImmediate if 0.10 otherwise nextTick
+var processor = require('./utils').processor();
+
+/**
+ * Constructor for a cursor object that handles all the operations on query result
+ * using find. This cursor object is unidirectional and cannot traverse backwards. Clients should not be creating a cursor directly,
+ * but use find to acquire a cursor. (INTERNAL TYPE)
+ *
+ * The cursor issues RETS Search transactions, paging through the result set with Limit and Offset
+ * until it is exhausted.
+ *
+ * Options
+ *  - **query** {String}, the compiled DMQL2 query, compiled from the selector if not provided.
+ *  - **limit** {Number, default:0}, the maximum number of records to return.
+ *  - **skip** {Number, default:0}, the number of records to skip (RETS Offset).
+ *  - **batchSize** {Number, default:0}, the number of records to request per Search, 0 lets the server decide.
+ *  - **sort** {Array | Object}, sort the records, RETS has no server side sort so all records are fetched and sorted by the driver.
+ *  - **standardNames** {Boolean, default:false}, search and return the records using standard names instead of system names.
+ *  - **format** {String, default:'COMPACT-DECODED'}, the Search format, COMPACT, COMPACT-DECODED or STANDARD-XML (optionally with a DTD version, STANDARD-XML:1.7.2).
+ *  - **local** {Boolean, default:true}, answer selectors matching the fields of a local index (see Collection.createIndex) from the locally cached records without a Search, when the records were synced for the selector.
+ *  - **dataDictionary** {Boolean|Object}, the selector, fields, sort and records use RESO Data Dictionary names, an object maps SystemNames to the names to use instead of the METADATA-TABLE StandardNames. Defaults to the option of the collection and the db.
+ *  - **raw** {Boolean, default:false}, return the values of COMPACT records as the strings sent by the server instead of coercing them by their METADATA-TABLE DataType.
+ *  - **promoteLongs** {Boolean, default:true}, return the Long values that fit in 53 bits as Numbers, larger values are always Strings. Defaults to the option of the collection and the db.
+ *
+ * @class Represents a Cursor.
+ * @param {Db} db the database object to work with.
+ * @param {Collection} collection the collection to query.
+ * @param {Object|String} selector the query selector.
+ * @param {Object} fields an object containing what fields to include (RETS Select).
+ * @param {Object} [options] additional options for the cursor.
+ */
+function Cursor(db, collection, selector, fields, options) {
+  options = options == null ? {} : options;
+
+  this.db = db;
+  this.collection = collection;
+  this.selector = selector;
+  this.query = options.query;
+  // Error of a selector DMQL2 cannot express, returned by the first read of the cursor
+  this.queryError = null;
+
+  if(this.query == null) {
+    try {
+      this.query = dmql.compile(selector);
+    } catch(err) {
+      this.queryError = err;
+    }
+  }
+
+  this.select = _selectList(fields);
+  this.limitValue = options.limit != null ? options.limit : 0;
+  this.skipValue = options.skip != null ? options.skip : 0;
+  this.batchSizeValue = options.batchSize != null ? options.batchSize : 0;
+  this.sortValue = options.sort != null ? utils.formattedOrderClause(options.sort) : null;
+  this.standardNames = typeof options.standardNames == 'boolean' ? options.standardNames : false;
+  this.format = options.format != null ? options.format : 'COMPACT-DECODED';
+  this.local = typeof options.local == 'boolean' ? options.local : true;
+  this.dataDictionary = _inheritedOption(db, collection, options, 'dataDictionary') || false;
+  this.raw = typeof options.raw == 'boolean' ? options.raw : false;
+  this.promoteLongs = _inheritedOption(db, collection, options, 'promoteLongs') !== false;
+
+  if(this.format != 'COMPACT' && this.format != 'COMPACT-DECODED' && !/^STANDARD-XML(:[0-9.]+)?$/.test(this.format))
+    throw new Error("format must be COMPACT, COMPACT-DECODED or STANDARD-XML, attempted to set to [" + this.format + "]");
+  if(this.dataDictionary && this.standardNames)
+    throw new Error("dataDictionary maps the system names of the records, it cannot be combined with standardNames");
+
+  // Cursor state
+  this.state = Cursor.INIT;
+  // Records received from the server but not returned yet
+  this.items = [];
+  // Number of records received from the server
+  this.numberOfReceived = 0;
+  // Total number of matching records reported by the server
+  this.totalNumberOfRecords = null;
+  // Set when the server has no more records
+  this.exhausted = false;
+  // Records matched by a local index, undefined until checked
+  this.localRecords = undefined;
+  // Data Dictionary names and value types of the class, loaded before the first Search
+  this.prepared = false;
+  this.dictionary = null;
+  this.coercion = null;
+  // Keys of the STANDARD-XML element paths, shared by the pages so every record is keyed alike
+  this.replyKeys = null;
+}
+
+/**
+ * Limits the number of results to be returned by this cursor.
+ *
+ * @param {Number} limit the new limit.
+ * @param {Function} [callback] this optional callback will be called after executing this method. The first parameter will contain an error object when the limit given is not a valid number or when the cursor is already closed while the second parameter will contain a reference to this object upon successful execution.
+ * @return {Cursor} an instance of this object.
+ * @api public
+ */
+Cursor.prototype.limit = function(limit, callback) {
+  return _setValue(this, 'limitValue', limit, "limit", callback);
+};
+
+/**
+ * Sets the number of records to skip, translated to the RETS Offset.
+ *
+ * @param {Number} skip the new skip value.
+ * @param {Function} [callback] this optional callback will be called after executing this method. The first parameter will contain an error object when the skip value given is not a valid number or when the cursor is already closed while the second parameter will contain a reference to this object upon successful execution.
+ * @return {Cursor} an instance of this object.
+ * @api public
+ */
+Cursor.prototype.skip = function(skip, callback) {
+  return _setValue(this, 'skipValue', skip, "skip", callback);
+};
+
+/**
+ * Set the number of records requested per Search transaction.
+ *
+ * @param {Number} batchSize the new batch size.
+ * @param {Function} [callback] this optional callback will be called after executing this method. The first parameter will contain an error object when the batchSize given is not a valid number or when the cursor is already closed while the second parameter will contain a reference to this object upon successful execution.
+ * @return {Cursor} an instance of this object.
+ * @api public
+ */
+Cursor.prototype.batchSize = function(batchSize, callback) {
+  return _setValue(this, 'batchSizeValue', batchSize, "batchSize", callback);
+};
+
+/**
+ * Sets the sort order of the cursor query. RETS has no server side sort, all matching records
+ * are fetched and sorted by the driver before skip and limit are applied.
+ *
+ * @param {String|Array|Object} keyOrList this can be a string or an array. If passed as a string, the string will be the field to sort. If passed an array, each element will represent a field to be sorted and should be an array that contains the format [string, direction].
+ * @param {String|Number} direction this determines how the results are sorted. "asc", "ascending" or 1 for asceding order while "desc", "desceding or -1 for descending order. Note that the strings are case insensitive.
+ * @param {Function} [callback] this optional callback will be called after executing this method. The first parameter will contain an error object when the cursor is already closed while the second parameter will contain a reference to this object upon successful execution.
+ * @return {Cursor} an instance of this object.
+ * @api public
+ */
+Cursor.prototype.sort = function(keyOrList, direction, callback) {
+  callback = callback || function(){};
+  if(typeof direction === "function") { callback = direction; direction = null; }
+
+  if(this.state != Cursor.INIT) {
+    callback(new Error("Cannot sort a cursor that has already been iterated"), null);
+    throw new Error("Cannot sort a cursor that has already been iterated");
+  }
+
+  var order = keyOrList;
+  if(direction != null) {
+    order = [[keyOrList, direction]];
+  }
+
+  this.sortValue = utils.formattedOrderClause(order);
+  callback(null, this);
+  return this;
+};
+
+/**
+ * Sets the fields to return, translated to the RETS Select.
+ *
+ * @param {Array|Object|String} fields the field names, an object of fields to include {'a':1} or a comma separated list.
+ * @param {Function} [callback] this optional callback will be called after executing this method. The first parameter will contain an error object when the cursor is already closed while the second parameter will contain a reference to this object upon successful execution.
+ * @return {Cursor} an instance of this object.
+ * @api public
+ */
+Cursor.prototype.fields = function(fields, callback) {
+  callback = callback || function(){};
+
+  if(this.state != Cursor.INIT) {
+    callback(new Error("Cannot set the fields of a cursor that has already been iterated"), null);
+    throw new Error("Cannot set the fields of a cursor that has already been iterated");
+  }
+
+  this.select = _selectList(typeof fields == 'string' ? fields.split(',') : fields);
+  callback(null, this);
+  return this;
+};
+
+/**
+ * Gets the next record from the cursor, null when the result set is exhausted.
+ *
+ * @param {Function} callback this will be called after executing this method. The first parameter will contain an error object on error while the second parameter will contain a record from the returned result or null if there are no more results.
+ * @api public
+ */
+Cursor.prototype.nextObject = function(callback) {
+  var self = this;
+
+  if(this.state == Cursor.CLOSED) return callback(new Error("Cursor is closed"), null);
+  this.state = Cursor.OPEN;
+
+  // Return buffered records first
+  if(this.items.length > 0) return callback(null, this.items.shift());
+
+  // Nothing left
+  if(this.exhausted) {
+    this.state = Cursor.CLOSED;
+    return callback(null, null);
+  }
+
+  var fail = function(err) {
+    self.state = Cursor.CLOSED;
+    callback(utils.toError(err), null);
+  }
+
+  this._prepare(function(err) {
+    if(err) return fail(err);
+
+    // Sorting needs the full result set
+    var fetch = self._localRecords() != null ? _fetchLocal : (self.sortValue != null ? _fetchSorted : _fetchPage);
+    fetch(self, function(err) {
+      if(err) return fail(err);
+      self.nextObject(callback);
+    });
+  });
+};
+
+/**
+ * Iterates over all the records for this cursor. The callback is called with null as the
+ * record when the result set is exhausted.
+ *
+ * @param {Function} callback this will be called for while iterating every record of the query result. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the record.
+ * @return {null}
+ * @api public
+ */
+Cursor.prototype.each = function(callback) {
+  var self = this;
+
+  if(!callback) throw new Error('callback is mandatory');
+
+  if(this.state != Cursor.CLOSED) {
+    processor(function() {
+      // Fetch the next object until there is no more objects
+      self.nextObject(function(err, item) {
+        if(err != null) return callback(err, null);
+
+        if(item != null) {
+          callback(null, item);
+          self.each(callback);
+        } else {
+          callback(null, null);
+        }
+      });
+    });
+  } else {
+    callback(new Error("Cursor is closed"), null);
+  }
+};
+
+/**
+ * Returns an array of records. The caller is responsible for making sure that there
+ * is enough memory to store the results.
+ *
+ * @param {Function} callback This will be called after executing this method successfully. The first parameter will contain the Error object if an error occured, or null otherwise. The second parameter will contain an array of records.
+ * @return {null}
+ * @api public
+ */
+Cursor.prototype.toArray = function(callback) {
+  var items = [];
+
+  if(!callback) throw new Error('callback is mandatory');
+  if(this.state == Cursor.CLOSED) return callback(new Error("Cursor is closed"), null);
+
+  this.each(function(err, item) {
+    if(err != null) return callback(err, null);
+    if(item == null) return callback(null, items);
+    items.push(item);
+  });
+};
+
+/**
+ * Determines how many records match the query.
+ *
+ * @param {Boolean} applySkipLimit if set to true will apply the skip and limits set on the cursor. Defaults to false.
+ * @param {Function} callback this will be after executing this method. The first parameter will contain the Error object if an error occured, or null otherwise. While the second parameter will contain the number of results or null if an error occured.
+ * @return {null}
+ * @api public
+ */
+Cursor.prototype.count = function(applySkipLimit, callback) {
+  if(typeof applySkipLimit == 'function') {
+    callback = applySkipLimit;
+    applySkipLimit = false;
+  }
+
+  var self = this;
+  // The query is compiled for the names of the cursor
+  var options = {standardNames: this.standardNames, dataDictionary: this.dataDictionary};
+  if(applySkipLimit) {
+    if(typeof this.skipValue == 'number') options.skip = this.skipValue;
+    if(typeof this.limitValue == 'number') options.limit = Math.abs(this.limitValue);
+  }
+
+  this._prepare(function(err) {
+    if(err) return callback(err, null);
+    self.collection.count(self.query, options, callback);
+  });
+};
+
+/**
+ * Close the cursor, releasing any buffered records.
+ *
+ * @param {Function} [callback] this will be called after executing this method. The first parameter will always contain null while the second parameter will contain a reference to this cursor.
+ * @return {null}
+ * @api public
+ */
+Cursor.prototype.close = function(callback) {
+  this.state = Cursor.CLOSED;
+  this.items = [];
+  this.exhausted = true;
+  if(callback) callback(null, this);
+};
+
+/**
+ * Returns a Node.js object mode Readable stream of the records. Records are parsed as the
+ * response body of each Search arrives, the response is paused while the stream is not read.
+ *
+ * Options
+ *  - **highWaterMark** {Number, default:16}, the number of records buffered by the stream.
+ *
+ * @param {Object} [options] additional options for the stream.
+ * @return {CursorStream} returns a stream object.
+ * @api public
+ */
+Cursor.prototype.stream = function stream(options) {
+  return new CursorStream(this, options);
+};
+
+/**
+ * Check if the cursor is closed or open.
+ *
+ * @return {Boolean} returns the state of the cursor.
+ * @api public
+ */
+Cursor.prototype.isClosed = function() {
+  return this.state == Cursor.CLOSED;
+};
+
+/**
+ * Build the RETS Search parameters for a page
+ * @ignore
+ */
+Cursor.prototype._searchParameters = function(limit, offset) {
+  var parameters = {
+      SearchType: this.collection.resourceName
+    , Class: this.collection.className
+    , QueryType: 'DMQL2'
+    , Query: this.query
+    , Format: this.format
+    , Count: 1
+    , StandardNames: this.standardNames ? 1 : 0
+    , Limit: limit > 0 ? limit : 'NONE'
+  };
+
+  // RETS offsets start at 1
+  if(offset > 1) parameters.Offset = offset;
+  if(this.select != null) parameters.Select = this.select.join(',');
+  return parameters;
+};
+
+/**
+ * Build the Search command for the next page of records, remembering the page requested
+ * @ignore
+ */
+Cursor.prototype._nextSearchCommand = function() {
+  if(this.collection.className == null) throw new Error("collection name must be in the format Resource:Class to search");
+
+  var limit = Math.abs(this.limitValue);
+  var sorting = this.sortValue != null;
+  // Skip and limit are applied after sorting
+  var remaining = limit > 0 && !sorting ? limit - this.numberOfReceived : 0;
+  var requested = this.batchSizeValue > 0 && remaining > 0
+    ? Math.min(this.batchSizeValue, remaining)
+    : (this.batchSizeValue > 0 ? this.batchSizeValue : remaining);
+  var offset = (sorting ? 0 : this.skipValue) + this.numberOfReceived + 1;
+
+  this.state = Cursor.OPEN;
+  this.page = {limit: limit, remaining: remaining, requested: requested, offset: offset};
+  return RETSCommand.createSearchCommand(this.db, this._searchParameters(requested, offset));
+};
+
+/**
+ * Load the metadata of the class before the first Search, only the class is downloaded when the
+ * metadata was not loaded already. An empty selector matches the records with a
+ * KeyField (RETS has no empty query). The selector and fields are translated from
+ * Data Dictionary names to SystemNames while the sort applies to the renamed records. COMPACT records
+ * are coerced unless raw is set or the server has no GetMetadata transaction, STANDARD-XML records are
+ * keyed by element name and left as they are.
+ * @ignore
+ */
+Cursor.prototype._prepare = function(callback) {
+  var self = this;
+  // Servers without metadata return the values as they are
+  var coerce = !this.raw && /^COMPACT/.test(this.format) && this.db.capabilityUrls[RETSCommand.GET_METADATA] != null;
+
+  // An empty selector matches every record of the class
+  var matchAll = this.query == null || this.query.length == 0;
+
+  if(this.queryError != null) return callback(this.queryError);
+  if(this.prepared) return callback(null);
+  if(!this.dataDictionary && !coerce && !matchAll) {
+    this.prepared = true;
+    return callback(null);
+  }
+
+  if(this.collection.className == null) return callback(new Error("collection name must be in the format Resource:Class to search"));
+
+  var resourceName = this.collection.resourceName;
+  var className = this.collection.className;
+
+  this.db._searchMetadata(resourceName, className, function(err, metadata) {
+    if(err) return callback(err);
+
+    try {
+      if(coerce) {
+        self.coercion = new Coercion(metadata, resourceName, className, {standardNames: self.standardNames, promoteLongs: self.promoteLongs});
+      }
+
+      if(self.dataDictionary) {
+        var overrides = typeof self.dataDictionary == 'object' ? self.dataDictionary : null;
+        var dictionary = self.dictionary = new DataDictionary(metadata, resourceName, className, overrides);
+
+        // DMQL2 strings are searched as they are
+        if(typeof self.selector != 'string') {
+          self.selector = dictionary.selector(self.selector);
+          self.query = dmql.compile(self.selector);
+        }
+
+        if(self.select != null) self.select = self.select.map(function(name) { return dictionary.systemName(name); });
+      }
+
+      if(self.query == null || self.query.length == 0) {
+        self.query = shared._matchAllQuery(metadata, resourceName, className, self.standardNames);
+      }
+    } catch(err) {
+      self.coercion = null;
+      self.dictionary = null;
+      return callback(err);
+    }
+
+    self.prepared = true;
+    callback(null);
+  });
+};
+
+/**
+ * The record as returned to the caller, typed and renamed to the Data Dictionary names
+ * @ignore
+ */
+Cursor.prototype._record = function(record) {
+  if(this.coercion != null) record = this.coercion.record(record);
+  return this.dictionary != null ? this.dictionary.record(record) : record;
+};
+
+/**
+ * The records matching the selector in a local index of the collection, null when the Search has to go to the server
+ * @ignore
+ */
+Cursor.prototype._localRecords = function() {
+  if(this.localRecords !== undefined) return this.localRecords;
+
+  var localRecords = this.collection.localRecords;
+  this.localRecords = null;
+
+  // Local records are only used for records with the same names and format
+  if(this.local && localRecords != null && localRecords.records != null
+    && localRecords.standardNames == this.standardNames && localRecords.format == this.format) {
+    this.localRecords = localRecords.match(this.selector);
+  }
+
+  return this.localRecords;
+};
+
+/**
+ * Create the reply parser for the format of the Search
+ * @ignore
+ */
+Cursor.prototype._createReply = function() {
+  if(!/^STANDARD-XML/.test(this.format)) return new libRETSReply();
+
+  var reply = new StandardXMLReply(this.replyKeys);
+  this.replyKeys = reply.keys;
+  return reply;
+};
+
+/**
+ * Account for a parsed page, flags the cursor as exhausted when there are no more records
+ * @ignore
+ */
+Cursor.prototype._pageReceived = function(reply) {
+  var page = this.page;
+  var received = page.requested > 0 ? Math.min(reply.numberReturned, page.requested) : reply.numberReturned;
+
+  if(reply.count != null) this.totalNumberOfRecords = reply.count;
+  this.numberOfReceived = this.numberOfReceived + received;
+
+  // Stop when the server has no more records or we have all we asked for
+  if(received == 0
+    || (page.remaining > 0 && this.numberOfReceived >= page.limit)
+    || (!reply.maxRows && (page.requested == 0 || received < page.requested))
+    || (this.totalNumberOfRecords != null && page.offset - 1 + received >= this.totalNumberOfRecords)) {
+    this.exhausted = true;
+  }
+};
+
+/**
+ * Issue the Search for the next page of records
+ * @ignore
+ */
+var _fetchPage = function(self, callback) {
+  try {
+    var command = self._nextSearchCommand();
+  } catch(err) {
+    return callback(err);
+  }
+
+  self.db._executeRETSCommand(command, function(err, response) {
+    if(err) return callback(err);
+
+    var reply = self._createReply();
+    reply.parseBody(response.body, function(err) {
+      if(err) return callback(err);
+      if(reply.is_error()) return callback(reply.toError());
+
+      // Servers ignoring the Limit return more records than requested
+      var documents = self.page.requested > 0 ? reply.documents.slice(0, self.page.requested) : reply.documents;
+      for(var i = 0; i < documents.length; i++) {
+        self.items.push(self._record(documents[i]));
+      }
+
+      self._pageReceived(reply);
+      callback(null);
+    });
+  });
+};
+
+/**
+ * Fetch all the records, sort them and apply skip and limit
+ * @ignore
+ */
+var _fetchSorted = function(self, callback) {
+  _fetchPage(self, function(err) {
+    if(err) return callback(err);
+    if(!self.exhausted) return _fetchSorted(self, callback);
+
+    _sortItems(self);
+    callback(null);
+  });
+};
+
+/**
+ * Take the records from the local index, applying the Select, sort, skip and limit
+ * @ignore
+ */
+var _fetchLocal = function(self, callback) {
+  var records = self.localRecords;
+
+  self.items = records.map(function(record) {
+    if(self.select == null) return self._record(record);
+
+    var selected = {};
+    for(var i = 0; i < self.select.length; i++) {
+      if(record.hasOwnProperty(self.select[i])) selected[self.select[i]] = record[self.select[i]];
+    }
+
+    return self._record(selected);
+  });
+
+  self.state = Cursor.OPEN;
+  self.totalNumberOfRecords = records.length;
+  self.numberOfReceived = records.length;
+  self.exhausted = true;
+  _sortItems(self);
+  processor(function() { callback(null); });
+};
+
+/**
+ * Sort the buffered records and apply skip and limit
+ * @ignore
+ */
+var _sortItems = function(self) {
+  var sort = self.sortValue;
+  var keys = sort != null ? Object.keys(sort) : [];
+  if(keys.length > 0) self.items.sort(function(a, b) {
+    for(var i = 0; i < keys.length; i++) {
+      var result = _compare(a[keys[i]], b[keys[i]]);
+      if(result != 0) return sort[keys[i]] == -1 ? -result : result;
+    }
+
+    return 0;
+  });
+
+  var limit = Math.abs(self.limitValue);
+  self.items = self.items.slice(self.skipValue, limit > 0 ? self.skipValue + limit : undefined);
+  self.sortValue = null;
+};
+
+/**
+ * An option of the cursor, the collection or the db
+ * @ignore
+ */
+var _inheritedOption = function(db, collection, options, name) {
+  var sources = [options, collection.opts, db.options];
+
+  for(var i = 0; i < sources.length; i++) {
+    if(sources[i] != null && sources[i][name] != null) return sources[i][name];
+  }
+
+  return null;
+};
+
+/**
+ * Compare two record values, numeric strings are compared as numbers
+ * @ignore
+ */
+var _compare = function(a, b) {
+  if(a == null || a === '') return b == null || b === '' ? 0 : -1;
+  if(b == null || b === '') return 1;
+  if(utils.isDate(a) && utils.isDate(b)) return a.getTime() - b.getTime();
+
+  var numeric = /^-?\d+(\.\d+)?$/;
+  if(typeof a == 'number' || numeric.test(a)) {
+    if(typeof b == 'number' || numeric.test(b)) return Number(a) - Number(b);
+  }
+
+  a = String(a);
+  b = String(b);
+  return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+/**
+ * Turn the fields into a RETS Select list
+ * @ignore
+ */
+var _selectList = function(fields) {
+  if(fields == null) return null;
+
+  var list = [];
+  if(Array.isArray(fields)) {
+    list = fields.map(function(field) { return String(field).trim(); });
+  } else {
+    for(var name in fields) {
+      if(!fields[name]) throw new Error("RETS Select does not support excluding fields [" + name + "]");
+      list.push(name);
+    }
+  }
+
+  list = list.filter(function(field) { return field.length > 0; });
+  return list.length > 0 ? list : null;
+};
+
+/**
+ * Set a numeric cursor value
+ * @ignore
+ */
+var _setValue = function(self, name, value, label, callback) {
+  if(self.state != Cursor.INIT) {
+    var error = new Error("Cursor is closed");
+    if(callback) return callback(error, null);
+    throw error;
+  }
+
+  if(typeof value !== 'number') {
+    var error = new Error(label + " requires an integer");
+    if(callback) return callback(error, null);
+    throw error;
+  }
+
+  self[name] = value;
+  if(callback) callback(null, self);
+  return self;
+};
+
+/**
+ * Init state
+ *
+ * @classconstant INIT
+ **/
+Cursor.INIT = 0;
+
+/**
+ * Cursor open
+ *
+ * @classconstant OPEN
+ **/
+Cursor.OPEN = 1;
+
+/**
+ * Cursor closed
+ *
+ * @classconstant CLOSED
+ **/
+Cursor.CLOSED = 2;
+
+/**
+ * @ignore
+ * @api private
+ */
+exports.Cursor = Cursor;
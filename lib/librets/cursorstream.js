@@ -0,0 +1,230 @@
+var Readable = require('stream').Readable
+  , inherits = require('util').inherits
+  , utils = require('./utils');
+
+/**
+ * Module dependecies.
+ */
+var processor = require('./utils').processor();
+
+/**
+ * CursorStream
+ *
+ * Returns a object mode Readable interface for the Cursor. Each page of the result set
+ * is requested with a streaming Search, records are parsed and pushed as the response body
+ * arrives and the response is paused when the consumer does not keep up.
+ *
+ * Options
+ *  - **highWaterMark** {Number, default:16}, the number of records buffered by the stream.
+ *
+ * Events
+ *  - **data** {function(item) {}} the data event triggers when a record is ready.
+ *  - **error** {function(err) {}} the error event triggers if an error happens.
+ *  - **end** {function() {}} the end event triggers when there are no more records available.
+ *
+ * @class Represents a CursorStream.
+ * @param {Cursor} cursor a cursor object that the stream wraps.
+ * @param {Object} [options] additional options for the stream.
+ * @return {CursorStream}
+ */
+function CursorStream(cursor, options) {
+  if(!(this instanceof CursorStream)) return new CursorStream(cursor, options);
+  options = options ? options : {};
+
+  Readable.call(this, {objectMode: true, highWaterMark: options.highWaterMark});
+
+  this._cursor = cursor;
+  // Response body of the current page
+  this._response = null;
+  // Set while a Search is in flight
+  this._requesting = false;
+  // Set when the consumer asked for more records than were pushed
+  this._reading = false;
+}
+
+/**
+ * Inherit from Readable
+ * @ignore
+ */
+inherits(CursorStream, Readable);
+
+/**
+ * Called by Readable when the consumer wants more records
+ * @ignore
+ * @api private
+ */
+CursorStream.prototype._read = function() {
+  var self = this;
+  var cursor = this._cursor;
+  this._reading = true;
+
+  // Resume the current page
+  if(this._response != null) return this._response.resume();
+  if(this._requesting) return;
+
+  if(cursor.isClosed()) {
+    return processor(function() {
+      self.emit('error', new Error("Cursor is closed"));
+    });
+  }
+
+  // Load the metadata of the class first
+  if(!cursor.prepared) {
+    this._requesting = true;
+
+    return cursor._prepare(function(err) {
+      self._requesting = false;
+      if(err) return _error(self, err);
+      self._read();
+    });
+  }
+
+  // Sorting needs the full result set and local records need no Search, let the cursor buffer them
+  if(cursor.sortValue != null || cursor._localRecords() != null) {
+    this._requesting = true;
+
+    return cursor.nextObject(function(err, item) {
+      self._requesting = false;
+      if(err) return _error(self, err);
+      self.push(item);
+    });
+  }
+
+  // Return the records buffered by the cursor first
+  if(cursor.items.length > 0) return this.push(cursor.items.shift());
+
+  if(cursor.exhausted) {
+    cursor.close();
+    return this.push(null);
+  }
+
+  _nextPage(this);
+}
+
+/**
+ * Abort the current page and close the cursor
+ * @ignore
+ * @api private
+ */
+CursorStream.prototype._destroy = function(err, callback) {
+  var response = this._response;
+  this._response = null;
+  if(response != null) response.destroy();
+  this._cursor.close();
+  callback(err);
+}
+
+/**
+ * Readable streams have no destroy before node 8, abort the current page and close the cursor
+ * the same way
+ * @ignore
+ * @api private
+ */
+if(typeof Readable.prototype.destroy != 'function') {
+  CursorStream.prototype.destroy = function(err) {
+    var self = this;
+    if(this.destroyed) return this;
+    this.destroyed = true;
+
+    this._destroy(err == null ? null : err, function(err) {
+      processor(function() {
+        if(err) self.emit('error', err);
+        self.emit('close');
+      });
+    });
+
+    return this;
+  }
+}
+
+/**
+ * Issue a streaming Search for the next page
+ * @ignore
+ */
+var _nextPage = function(self) {
+  var cursor = self._cursor;
+
+  try {
+    var command = cursor._nextSearchCommand();
+  } catch(err) {
+    return _error(self, err);
+  }
+
+  self._requesting = true;
+
+  cursor.db._executeRETSCommand(command, {stream: true}, function(err, response) {
+    self._requesting = false;
+    if(err) return _error(self, err);
+
+    var body = response.body;
+    var reply = cursor._createReply();
+    self._response = body;
+
+    var requested = cursor.page.requested;
+    var pushed = 0;
+
+    reply.ondocument = function(document) {
+      // Servers ignoring the Limit return more records than requested
+      if(requested > 0 && pushed >= requested) return;
+      pushed = pushed + 1;
+
+      // Pause the response until the consumer catches up
+      if(!self.push(cursor._record(document))) {
+        self._reading = false;
+        body.pause();
+      }
+    }
+
+    body.on('data', function(chunk) {
+      try {
+        reply.write(chunk);
+      } catch(err) {
+        _error(self, err);
+      }
+    });
+
+    body.on('end', function() {
+      if(self._response != body) return;
+      self._response = null;
+
+      try {
+        reply.end();
+      } catch(err) {
+        return _error(self, err);
+      }
+
+      if(reply.is_error()) return _error(self, reply.toError());
+      cursor._pageReceived(reply);
+
+      if(cursor.exhausted) {
+        cursor.close();
+        return self.push(null);
+      }
+
+      // Request the next page right away if the consumer is waiting for records
+      if(self._reading) _nextPage(self);
+    });
+
+    body.on('aborted', function() {
+      if(self._response == body) _error(self, new Error("search response was aborted by the server"));
+    });
+
+    body.on('error', function(err) {
+      if(self._response == body) _error(self, err);
+    });
+  });
+}
+
+/**
+ * @ignore
+ */
+var _error = function(self, err) {
+  // Destroying the response can emit aborted right away, forget it first
+  var response = self._response;
+  self._response = null;
+  if(response != null) response.destroy();
+  self._cursor.close();
+  self.emit('error', utils.toError(err));
+}
+
+exports.CursorStream = CursorStream;
@@ -0,0 +1,120 @@
+var utils = require('./utils');
+
+/**
+ * Maps the SystemNames of a class to RESO Data Dictionary names, so the records and selectors of
+ * servers using their own field names can be handled with the same names (ListPrice, StandardStatus, ...).
+ *
+ * The StandardName of the METADATA-TABLE rows is used, the overrides take precedence for the
+ * fields lacking a StandardName or having a wrong one. Fields without a mapping keep their SystemName.
+ *
+ * @class Represents the Data Dictionary names of a class.
+ * @param {Metadata} metadata the metadata of the server.
+ * @param {String} resourceName the resource name.
+ * @param {String} className the class name.
+ * @param {Object} [overrides] the Data Dictionary names keyed by SystemName {L_AskingPrice: 'ListPrice'}.
+ */
+function DataDictionary(metadata, resourceName, className, overrides) {
+  var metadataClass = metadata.class(resourceName, className);
+  if(metadataClass == null) throw new Error("class " + className + " of resource " + resourceName + " not found in the metadata");
+
+  overrides = overrides || {};
+  // Data Dictionary names keyed by SystemName and the other way around
+  this.standardNames = {};
+  this.systemNames = {};
+
+  // Names given by the overrides are taken away from the StandardNames of other fields
+  var overridden = {};
+  for(var systemName in overrides) overridden[overrides[systemName]] = true;
+
+  for(var i = 0; i < metadataClass.tables.length; i++) {
+    var table = metadataClass.tables[i];
+
+    if(overrides[table.SystemName] != null) {
+      _map(this, table.SystemName, overrides[table.SystemName]);
+    } else if(!overridden[table.StandardName]) {
+      _map(this, table.SystemName, table.StandardName);
+    }
+  }
+
+  // Overrides of fields missing from the metadata
+  for(var systemName in overrides) {
+    if(this.standardNames[systemName] == null) _map(this, systemName, overrides[systemName]);
+  }
+}
+
+/**
+ * The Data Dictionary name of a field, the SystemName when it has none.
+ *
+ * @param {String} systemName the SystemName.
+ * @return {String} the Data Dictionary name.
+ * @api private
+ */
+DataDictionary.prototype.standardName = function(systemName) {
+  return this.standardNames[systemName] || systemName;
+}
+
+/**
+ * The SystemName of a field named by its Data Dictionary name, other names are returned as they are.
+ *
+ * @param {String} name the Data Dictionary name.
+ * @return {String} the SystemName.
+ * @api private
+ */
+DataDictionary.prototype.systemName = function(name) {
+  return this.systemNames[name] || name;
+}
+
+/**
+ * Rename the fields of a record to their Data Dictionary names.
+ *
+ * @param {Object} record the record keyed by SystemName.
+ * @return {Object} the record keyed by Data Dictionary name.
+ * @api private
+ */
+DataDictionary.prototype.record = function(record) {
+  if(record == null) return record;
+
+  var renamed = {};
+  for(var name in record) renamed[this.standardName(name)] = record[name];
+  return renamed;
+}
+
+/**
+ * Rename the fields of a selector to their SystemNames, $or, $and and $nor are followed.
+ *
+ * @param {Object|String} selector the selector using Data Dictionary names.
+ * @return {Object|String} the selector using SystemNames, DMQL2 strings are returned as they are.
+ * @api private
+ */
+DataDictionary.prototype.selector = function(selector) {
+  var self = this;
+  if(!utils.isObject(selector)) return selector;
+
+  var renamed = {};
+  for(var name in selector) {
+    if(name == '$or' || name == '$and' || name == '$nor') {
+      renamed[name] = Array.isArray(selector[name])
+        ? selector[name].map(function(part) { return self.selector(part); })
+        : selector[name];
+    } else if(name.charAt(0) == '$') {
+      renamed[name] = selector[name];
+    } else {
+      renamed[this.systemName(name)] = selector[name];
+    }
+  }
+
+  return renamed;
+}
+
+/**
+ * @ignore
+ */
+var _map = function(self, systemName, standardName) {
+  if(!standardName) return;
+
+  self.standardNames[systemName] = standardName;
+  // The first field claiming a name keeps it
+  if(self.systemNames[standardName] == null) self.systemNames[standardName] = systemName;
+}
+
+exports.DataDictionary = DataDictionary;
@@ -0,0 +1,88 @@
+var inherits = require('util').inherits;
+
+/**
+ * Error returned by a RETS server, carries the ReplyCode and ReplyText of the reply so
+ * callers can branch on err.replyCode.
+ *
+ * @class Represents a RETS reply error.
+ * @param {Number} replyCode the RETS ReplyCode.
+ * @param {String} [replyText] the RETS ReplyText.
+ */
+function RETSError(replyCode, replyText) {
+  Error.call(this);
+  if(Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+
+  this.name = 'RETSError';
+  this.replyCode = replyCode;
+  this.replyText = replyText == null ? null : replyText;
+  this.message = replyText != null && replyText.length > 0
+    ? replyText + ' (ReplyCode ' + replyCode + ')'
+    : 'RETS server returned ReplyCode ' + replyCode;
+}
+
+inherits(RETSError, Error);
+
+// Error classes by ReplyCode
+var classes = {};
+
+/**
+ * Define a named RETSError subclass for a ReplyCode
+ * @ignore
+ */
+var define = function(name, replyCode) {
+  var ErrorClass = function(replyText) {
+    RETSError.call(this, replyCode, replyText);
+    this.name = name;
+  }
+
+  inherits(ErrorClass, RETSError);
+  Object.defineProperty(ErrorClass, 'name', {value: name});
+  ErrorClass.replyCode = replyCode;
+  classes[replyCode] = ErrorClass;
+  exports[name] = ErrorClass;
+  return ErrorClass;
+}
+
+// Login
+define('MiscLoginError', 20036);
+define('ClientAuthenticationError', 20037);
+define('UserAgentAuthRequiredError', 20041);
+define('ServerTemporarilyDisabledError', 20050);
+// Search
+define('UnknownQueryFieldError', 20200);
+define('NoRecordsFoundError', 20201);
+define('InvalidSelectError', 20202);
+define('MiscSearchError', 20203);
+define('InvalidQuerySyntaxError', 20206);
+define('UnauthorizedQueryError', 20207);
+define('MaxRecordsExceededError', 20208);
+define('SearchTimeoutError', 20209);
+define('TooManyOutstandingQueriesError', 20210);
+// GetObject
+define('NoObjectFoundError', 20403);
+// GetMetadata
+define('NoMetadataFoundError', 20503);
+// Logout
+define('NotLoggedInError', 20701);
+
+/**
+ * Create the error for a RETS reply, an instance of the named subclass for known codes.
+ *
+ * @param {Number} replyCode the RETS ReplyCode.
+ * @param {String} [replyText] the RETS ReplyText.
+ * @return {RETSError}
+ * @api private
+ */
+RETSError.create = function(replyCode, replyText) {
+  var ErrorClass = classes[replyCode];
+  return ErrorClass != null ? new ErrorClass(replyText) : new RETSError(replyCode, replyText);
+}
+
+/**
+ * ReplyCode of a Search without matching records, an empty result rather than a failure.
+ *
+ * @classconstant NO_RECORDS_FOUND
+ **/
+RETSError.NO_RECORDS_FOUND = 20201;
+
+exports.RETSError = RETSError;
@@ -13,6 +13,7 @@ exports.version = require('../../package').version;
   , 'connection/connection'
   , 'connection/server'
   , 'db'
+  , 'errors'
   , 'librets_client'].forEach(function (path) {
   	var module = require('./' + path);
   	for (var i in module) {
@@ -0,0 +1,332 @@
+var fs = require('fs')
+  , path = require('path')
+  , utils = require('./utils');
+
+/**
+ * In-memory secondary index mapping the values of one or more fields to the records holding them.
+ * Values are compared as strings, records carry the values as returned by the Search.
+ *
+ * @class Represents a local index.
+ * @param {String} name the index name.
+ * @param {Array} fields the indexed fields.
+ */
+function LocalIndex(name, fields) {
+  this.name = name;
+  this.fields = fields;
+  // Records keyed by their index values
+  this.entries = {};
+}
+
+/**
+ * Index the records, replacing all the entries.
+ *
+ * @param {Array} records the records to index.
+ * @return {null}
+ * @api private
+ */
+LocalIndex.prototype.build = function(records) {
+  var self = this;
+  this.entries = {};
+
+  records.forEach(function(record) {
+    var key = _key(self.fields.map(function(field) { return record[field]; }));
+    if(self.entries[key] == null) self.entries[key] = [];
+    self.entries[key].push(record);
+  });
+}
+
+/**
+ * Find the records with the given values of the indexed fields.
+ *
+ * @param {Array} values the values, in the order of the fields.
+ * @return {Array} the matching records.
+ * @api private
+ */
+LocalIndex.prototype.find = function(values) {
+  return this.entries[_key(values)] || [];
+}
+
+/**
+ * Records synced from the server for a collection and the local indexes over them, optionally
+ * persisted to a JSON file so they survive restarts.
+ *
+ * @class Represents the locally cached records of a collection.
+ * @param {String} collectionName the collection name.
+ * @param {String} [directory] the directory the records and index definitions are persisted in.
+ */
+function LocalRecords(collectionName, directory) {
+  this.collectionName = collectionName;
+  this.directory = directory;
+  // The selector, DMQL2 query and Search options the records were synced with
+  this.selector = null;
+  this.query = null;
+  this.standardNames = false;
+  this.format = null;
+  this.records = null;
+  this.indexes = {};
+}
+
+/**
+ * Replace the records, rebuilding all the indexes.
+ *
+ * @param {Array} records the records.
+ * @param {Object} search the Search the records were synced with {selector, query, standardNames, format}.
+ * @return {null}
+ * @api private
+ */
+LocalRecords.prototype.load = function(records, search) {
+  this.records = records;
+  this.selector = search.selector != null ? search.selector : null;
+  this.query = search.query;
+  this.standardNames = search.standardNames;
+  this.format = search.format;
+
+  for(var name in this.indexes) {
+    this.indexes[name].build(records);
+  }
+}
+
+/**
+ * Check if the records were synced with the given Search.
+ *
+ * @param {Object} search the Search {query, standardNames, format}.
+ * @return {Boolean}
+ * @api private
+ */
+LocalRecords.prototype.syncedWith = function(search) {
+  return this.records != null && this.query == search.query
+    && this.standardNames == search.standardNames && this.format == search.format;
+}
+
+/**
+ * Check if the records hold every record the given Search would sync, see match.
+ *
+ * @param {Object} search the Search {selector, standardNames, format}.
+ * @return {Boolean}
+ * @api private
+ */
+LocalRecords.prototype.covers = function(search) {
+  return this.records != null && this.standardNames == search.standardNames && this.format == search.format
+    && _covers(this.selector, search.selector);
+}
+
+/**
+ * Add an index and build it over the records.
+ *
+ * @param {String} name the index name.
+ * @param {Array} fields the indexed fields.
+ * @return {LocalIndex} the index.
+ * @api private
+ */
+LocalRecords.prototype.addIndex = function(name, fields) {
+  var index = new LocalIndex(name, fields);
+  index.build(this.records || []);
+  this.indexes[name] = index;
+  return index;
+}
+
+/**
+ * Answer a selector from the local indexes. Every field of an index has to be matched by value,
+ * the other fields of the selector may be matched by value or with $in. Only selectors the records
+ * were synced for are answered: the records were synced without restriction ({}) or every field of
+ * the sync selector is matched by the selector to a value the sync selector allows.
+ *
+ * @param {Object} selector the query selector.
+ * @return {Array} the matching records, null if no index can answer the selector.
+ * @api private
+ */
+LocalRecords.prototype.match = function(selector) {
+  if(this.records == null || !utils.isObject(selector)) return null;
+
+  var names = Object.keys(selector);
+  // Selectors combining or negating criteria go to the server
+  for(var i = 0; i < names.length; i++) {
+    if(!_isValue(selector[names[i]]) && !_isIn(selector[names[i]])) return null;
+  }
+
+  // Records outside the synced records are only known to the server
+  if(!_covers(this.selector, selector)) return null;
+
+  // Use the index covering most of the selector
+  var index = null;
+  for(var name in this.indexes) {
+    var covered = this.indexes[name].fields.every(function(field) {
+      return selector.hasOwnProperty(field) && _isValue(selector[field]);
+    });
+
+    if(covered && (index == null || this.indexes[name].fields.length > index.fields.length)) index = this.indexes[name];
+  }
+
+  if(index == null) return null;
+
+  var records = index.find(index.fields.map(function(field) { return selector[field]; }));
+  return records.filter(function(record) {
+    return names.every(function(name) {
+      var values = _isIn(selector[name]) ? selector[name].$in : [selector[name]];
+      return values.some(function(value) { return _string(value) == _string(record[name]); });
+    });
+  });
+}
+
+/**
+ * Read the persisted records and index definitions, nothing is read without a directory.
+ *
+ * @param {Function} callback this will be called with an error or a Boolean telling if the records were read.
+ * @return {null}
+ * @api private
+ */
+LocalRecords.prototype.read = function(callback) {
+  var self = this;
+  if(this.directory == null) return callback(null, false);
+
+  fs.readFile(this._file(), 'utf8', function(err, data) {
+    // Nothing persisted yet
+    if(err && err.code == 'ENOENT') return callback(null, false);
+    if(err) return callback(err, false);
+
+    try {
+      var persisted = JSON.parse(data);
+    } catch(err) {
+      // Ignore damaged files, they are rewritten on the next sync
+      return callback(null, false);
+    }
+
+    if(persisted == null || !Array.isArray(persisted.records)) return callback(null, false);
+
+    (persisted.indexes || []).forEach(function(index) {
+      if(self.indexes[index.name] == null) self.indexes[index.name] = new LocalIndex(index.name, index.fields);
+    });
+
+    self.load(persisted.records, persisted);
+    callback(null, true);
+  });
+}
+
+/**
+ * Persist the records and index definitions, replacing the file atomically.
+ *
+ * @param {Function} callback this will be called with an error or null.
+ * @return {null}
+ * @api private
+ */
+LocalRecords.prototype.write = function(callback) {
+  if(this.directory == null) return callback(null);
+
+  var self = this;
+  var file = this._file();
+  var temporary = file + '.' + process.pid + '.tmp';
+  var persisted = {
+      selector: this.selector
+    , query: this.query
+    , standardNames: this.standardNames
+    , format: this.format
+    , records: this.records || []
+    , indexes: Object.keys(this.indexes).map(function(name) {
+      return {name: name, fields: self.indexes[name].fields};
+    })
+  };
+
+  fs.writeFile(temporary, JSON.stringify(persisted), function(err) {
+    if(err) return callback(err);
+    fs.rename(temporary, file, callback);
+  });
+}
+
+/**
+ * Drop the records and indexes, removing the persisted file.
+ *
+ * @param {Function} callback this will be called with an error or null.
+ * @return {null}
+ * @api private
+ */
+LocalRecords.prototype.drop = function(callback) {
+  this.records = null;
+  this.indexes = {};
+  if(this.directory == null) return callback(null);
+
+  fs.unlink(this._file(), function(err) {
+    if(err && err.code != 'ENOENT') return callback(err);
+    callback(null);
+  });
+}
+
+/**
+ * @ignore
+ */
+LocalRecords.prototype._file = function() {
+  return path.join(this.directory, this.collectionName.replace(/[^A-Za-z0-9._-]/g, '_') + '.json');
+}
+
+/**
+ * @ignore
+ */
+var _key = function(values) {
+  return JSON.stringify(values.map(_string));
+}
+
+/**
+ * @ignore
+ */
+var _string = function(value) {
+  return value == null ? '' : String(value);
+}
+
+/**
+ * @ignore
+ */
+var _isValue = function(value) {
+  return typeof value == 'string' || typeof value == 'number' || typeof value == 'boolean';
+}
+
+/**
+ * @ignore
+ */
+var _isIn = function(value) {
+  return utils.isObject(value) && Object.keys(value).length == 1 && Array.isArray(value.$in) && value.$in.every(_isValue);
+}
+
+/**
+ * @ignore
+ */
+var _isExists = function(value) {
+  return utils.isObject(value) && Object.keys(value).length == 1 && value.$exists === true;
+}
+
+/**
+ * The values matched by a value or $in condition, null for other conditions
+ * @ignore
+ */
+var _values = function(value) {
+  if(_isValue(value)) return [value];
+  return _isIn(value) ? value.$in : null;
+}
+
+/**
+ * Check if the records matching the selector all match the sync selector, only sync selectors
+ * of values, $in and $exists are understood
+ * @ignore
+ */
+var _covers = function(syncSelector, selector) {
+  if(!utils.isObject(syncSelector) || !utils.isObject(selector)) return false;
+
+  return Object.keys(syncSelector).every(function(name) {
+    var condition = syncSelector[name];
+    if(_isExists(condition) && _isExists(selector[name])) return true;
+
+    var values = _values(selector[name]);
+    if(values == null) return false;
+
+    if(_isExists(condition)) {
+      return values.every(function(value) { return _string(value) !== ''; });
+    }
+
+    var allowed = _values(condition);
+    if(allowed == null) return false;
+
+    allowed = allowed.map(_string);
+    return values.every(function(value) { return allowed.indexOf(_string(value)) != -1; });
+  });
+}
+
+exports.LocalIndex = LocalIndex;
+exports.LocalRecords = LocalRecords;
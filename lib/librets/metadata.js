@@ -0,0 +1,220 @@
+/**
+ * Metadata types in the order they are requested, each with the block attributes naming
+ * its parent and the collection it is added to on the parent.
+ * @ignore
+ */
+var TYPES = [
+    {type: 'SYSTEM'}
+  , {type: 'RESOURCE', parent: [], collection: 'resources'}
+  , {type: 'CLASS', parent: ['Resource'], collection: 'classes'}
+  , {type: 'TABLE', parent: ['Resource', 'Class'], collection: 'tables'}
+  , {type: 'LOOKUP', parent: ['Resource'], collection: 'lookups'}
+  , {type: 'LOOKUP_TYPE', parent: ['Resource', 'Lookup'], collection: 'types'}
+  , {type: 'OBJECT', parent: ['Resource'], collection: 'objects'}
+  , {type: 'SEARCH_HELP', parent: ['Resource'], collection: 'searchHelps'}
+  , {type: 'EDITMASK', parent: ['Resource'], collection: 'editMasks'}
+  , {type: 'UPDATE_HELP', parent: ['Resource'], collection: 'updateHelps'}
+  , {type: 'UPDATE', parent: ['Resource', 'Class'], collection: 'updates'}
+  , {type: 'UPDATE_TYPE', parent: ['Resource', 'Class', 'Update'], collection: 'types'}
+  , {type: 'VALIDATION_LOOKUP', parent: ['Resource'], collection: 'validationLookups'}
+  , {type: 'VALIDATION_LOOKUP_TYPE', parent: ['Resource', 'ValidationLookup'], collection: 'types'}
+  , {type: 'VALIDATION_EXTERNAL', parent: ['Resource'], collection: 'validationExternals'}
+  , {type: 'VALIDATION_EXTERNAL_TYPE', parent: ['Resource', 'ValidationExternal'], collection: 'types'}
+  , {type: 'VALIDATION_EXPRESSION', parent: ['Resource'], collection: 'validationExpressions'}
+];
+
+// Child collections of each metadata type
+var CHILDREN = {
+    RESOURCE: ['classes', 'lookups', 'objects', 'searchHelps', 'editMasks', 'updateHelps'
+      , 'validationLookups', 'validationExternals', 'validationExpressions']
+  , CLASS: ['tables', 'updates']
+  , LOOKUP: ['types']
+  , UPDATE: ['types']
+  , VALIDATION_LOOKUP: ['types']
+  , VALIDATION_EXTERNAL: ['types']
+};
+
+/**
+ * RETS metadata model built from the GetMetadata replies
+ *
+ *  system -> resources -> classes -> tables -> lookups
+ *
+ * Every metadata row is a plain object with the metadata fields (ResourceID, StandardName, ...)
+ * and the collections of its children (resource.classes, class.tables, lookup.types, ...).
+ * Tables with a LookupName reference their lookup as table.lookup.
+ *
+ * @class Represents the metadata of a RETS server.
+ * @param {Array} blocks the METADATA-* blocks {type, attributes, rows} of the GetMetadata replies.
+ */
+function Metadata(blocks) {
+  // Keep the blocks so the model can be stored and rebuilt
+  this.blocks = blocks;
+  this.system = {};
+  this.resources = [];
+
+  // Add the blocks, parents first
+  for(var i = 0; i < TYPES.length; i++) {
+    for(var j = 0; j < blocks.length; j++) {
+      if(blocks[j].type == TYPES[i].type) _addBlock(this, TYPES[i], blocks[j]);
+    }
+  }
+
+  // Link the tables to their lookups
+  for(var i = 0; i < this.resources.length; i++) {
+    var resource = this.resources[i];
+
+    for(var j = 0; j < resource.classes.length; j++) {
+      var tables = resource.classes[j].tables;
+
+      for(var k = 0; k < tables.length; k++) {
+        if(tables[k].LookupName) tables[k].lookup = _find(resource.lookups, 'LookupName', tables[k].LookupName);
+      }
+    }
+  }
+}
+
+/**
+ * Find a resource by ResourceID or StandardName.
+ *
+ * @param {String} name the resource name.
+ * @return {Object} the resource or null.
+ * @api public
+ */
+Metadata.prototype.resource = function(name) {
+  return _find(this.resources, 'ResourceID', name) || _find(this.resources, 'StandardName', name);
+}
+
+/**
+ * Find a class of a resource by ClassName or StandardName.
+ *
+ * @param {String} resourceName the resource name.
+ * @param {String} className the class name.
+ * @return {Object} the class or null.
+ * @api public
+ */
+Metadata.prototype.class = function(resourceName, className) {
+  var resource = this.resource(resourceName);
+  if(resource == null) return null;
+  return _find(resource.classes, 'ClassName', className) || _find(resource.classes, 'StandardName', className);
+}
+
+/**
+ * Find a table of a class by SystemName or StandardName.
+ *
+ * @param {String} resourceName the resource name.
+ * @param {String} className the class name.
+ * @param {String} fieldName the field name.
+ * @return {Object} the table or null.
+ * @api public
+ */
+Metadata.prototype.table = function(resourceName, className, fieldName) {
+  var metadataClass = this.class(resourceName, className);
+  if(metadataClass == null) return null;
+  return _find(metadataClass.tables, 'SystemName', fieldName) || _find(metadataClass.tables, 'StandardName', fieldName);
+}
+
+/**
+ * Find a lookup of a resource by LookupName.
+ *
+ * @param {String} resourceName the resource name.
+ * @param {String} lookupName the lookup name.
+ * @return {Object} the lookup or null.
+ * @api public
+ */
+Metadata.prototype.lookup = function(resourceName, lookupName) {
+  var resource = this.resource(resourceName);
+  if(resource == null) return null;
+  return _find(resource.lookups, 'LookupName', lookupName);
+}
+
+/**
+ * Add the rows of a block to their parent
+ * @ignore
+ */
+var _addBlock = function(self, definition, block) {
+  if(definition.type == 'SYSTEM') {
+    var system = block.rows.length > 0 ? block.rows[0] : {};
+    for(var name in system) self.system[name] = system[name];
+    // The metadata version is an attribute of the block
+    self.system.Version = block.attributes.Version;
+    self.system.Date = block.attributes.Date;
+    return;
+  }
+
+  var parent = self;
+  // Walk down the parents named by the block attributes
+  for(var i = 0; i < definition.parent.length; i++) {
+    var attribute = definition.parent[i];
+    var value = block.attributes[attribute];
+    var list = attribute == 'Resource' ? self.resources : _childList(parent, attribute);
+    var key = attribute == 'Resource' ? 'ResourceID' : (attribute == 'Class' ? 'ClassName' : attribute + 'Name');
+
+    parent = _find(list, key, value);
+    // Ignore metadata for unknown parents
+    if(parent == null) return;
+  }
+
+  var children = parent[definition.collection];
+  if(children == null) return;
+
+  for(var i = 0; i < block.rows.length; i++) {
+    var row = _copy(block.rows[i]);
+    var childCollections = CHILDREN[definition.type] || [];
+
+    for(var j = 0; j < childCollections.length; j++) {
+      row[childCollections[j]] = [];
+    }
+
+    // Remember the version of the block the row came from
+    row.MetadataVersion = block.attributes.Version;
+    row.MetadataDate = block.attributes.Date;
+    children.push(row);
+  }
+}
+
+/**
+ * The collection holding the children named by a block attribute
+ * @ignore
+ */
+var _childList = function(parent, attribute) {
+  switch(attribute) {
+    case 'Class': return parent.classes;
+    case 'Lookup': return parent.lookups;
+    case 'Update': return parent.updates;
+    case 'ValidationLookup': return parent.validationLookups;
+    case 'ValidationExternal': return parent.validationExternals;
+  }
+
+  return [];
+}
+
+/**
+ * @ignore
+ */
+var _copy = function(object) {
+  var copy = {};
+  for(var name in object) copy[name] = object[name];
+  return copy;
+}
+
+/**
+ * @ignore
+ */
+var _find = function(list, key, value) {
+  if(list == null || value == null) return null;
+
+  for(var i = 0; i < list.length; i++) {
+    if(list[i][key] == value) return list[i];
+  }
+
+  return null;
+}
+
+/**
+ * Metadata types in the order they are requested
+ *
+ * @classconstant TYPES
+ **/
+Metadata.TYPES = TYPES.map(function(definition) { return definition.type; });
+
+exports.Metadata = Metadata;
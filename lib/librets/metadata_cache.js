@@ -0,0 +1,284 @@
+var fs = require('fs')
+  , path = require('path');
+
+/**
+ * Metadata kept per resource, with the RESOURCE fields versioning them and the child types
+ * downloaded along with them.
+ * @ignore
+ */
+var RESOURCE_PIECES = [
+    {type: 'CLASS', version: 'Class', children: []}
+  , {type: 'LOOKUP', version: 'Lookup', children: ['LOOKUP_TYPE']}
+  , {type: 'OBJECT', version: 'Object', children: []}
+  , {type: 'SEARCH_HELP', version: 'SearchHelp', children: []}
+  , {type: 'EDITMASK', version: 'EditMask', children: []}
+  , {type: 'UPDATE_HELP', version: 'UpdateHelp', children: []}
+  , {type: 'VALIDATION_LOOKUP', version: 'ValidationLookup', children: ['VALIDATION_LOOKUP_TYPE']}
+  , {type: 'VALIDATION_EXTERNAL', version: 'ValidationExternal', children: ['VALIDATION_EXTERNAL_TYPE']}
+  , {type: 'VALIDATION_EXPRESSION', version: 'ValidationExpression', children: []}
+];
+
+/**
+ * Metadata kept per class, versioned by CLASS fields.
+ * @ignore
+ */
+var CLASS_PIECES = [
+    {type: 'TABLE', version: 'Table', children: []}
+  , {type: 'UPDATE', version: 'Update', children: ['UPDATE_TYPE']}
+];
+
+/**
+ * On-disk cache of the metadata blocks of a server, one JSON file per key.
+ *
+ * @class Represents a metadata cache directory.
+ * @param {String} directory the directory holding the cache files.
+ */
+function MetadataCache(directory) {
+  this.directory = directory;
+}
+
+/**
+ * Read the cached metadata blocks.
+ *
+ * @param {String} key the cache key.
+ * @param {Function} callback this will be called with an error or the cached blocks, null if nothing is cached.
+ * @return {null}
+ * @api private
+ */
+MetadataCache.prototype.read = function(key, callback) {
+  fs.readFile(this._file(key), 'utf8', function(err, data) {
+    // Nothing cached yet
+    if(err && err.code == 'ENOENT') return callback(null, null);
+    if(err) return callback(err, null);
+
+    try {
+      var cached = JSON.parse(data);
+    } catch(err) {
+      // Ignore damaged cache files, they are rewritten on the next download
+      return callback(null, null);
+    }
+
+    // Cached metadata is checked against its METADATA-SYSTEM version
+    var valid = cached != null && Array.isArray(cached.blocks) && _blocks(cached.blocks, 'SYSTEM').length > 0;
+    callback(null, valid ? cached.blocks : null);
+  });
+}
+
+/**
+ * Write the metadata blocks, replacing the cache file atomically.
+ *
+ * @param {String} key the cache key.
+ * @param {Array} blocks the metadata blocks.
+ * @param {Function} callback this will be called with an error or null.
+ * @return {null}
+ * @api private
+ */
+MetadataCache.prototype.write = function(key, blocks, callback) {
+  var file = this._file(key);
+  var temporary = file + '.' + process.pid + '.tmp';
+
+  fs.writeFile(temporary, JSON.stringify({blocks: blocks}), function(err) {
+    if(err) return callback(err);
+    fs.rename(temporary, file, callback);
+  });
+}
+
+/**
+ * @ignore
+ */
+MetadataCache.prototype._file = function(key) {
+  return path.join(this.directory, key.replace(/[^A-Za-z0-9._-]/g, '_') + '.json');
+}
+
+/**
+ * Bring cached metadata blocks up to date, downloading only the metadata whose version changed.
+ *
+ *  - The login Metadata-Version and Metadata-Timestamp are compared with the cached METADATA-SYSTEM first.
+ *  - Then the METADATA-SYSTEM Version and Date.
+ *  - Then the per-resource versions of METADATA-RESOURCE (ClassVersion, LookupVersion, ...) and
+ *    the per-class versions of METADATA-CLASS (TableVersion, UpdateVersion).
+ *
+ * @param {Array} cached the cached blocks.
+ * @param {Object} sessionInfo the login response information.
+ * @param {Function} fetch function(type, id, callback) downloading the blocks of a metadata type.
+ * @param {Function} callback this will be called with an error or the up to date blocks.
+ * @return {null}
+ * @api private
+ */
+var refresh = function(cached, sessionInfo, fetch, callback) {
+  var cachedSystem = _blocks(cached, 'SYSTEM')[0];
+
+  // The login response announces the current metadata version
+  if(sessionInfo != null && sessionInfo.MetadataVersion != null
+    && sessionInfo.MetadataVersion == cachedSystem.attributes.Version
+    && (sessionInfo.MetadataTimestamp == null || sessionInfo.MetadataTimestamp == cachedSystem.attributes.Date)) {
+    return callback(null, cached);
+  }
+
+  fetch('SYSTEM', '0', function(err, systemBlocks) {
+    if(err) return callback(err, null);
+    if(systemBlocks.length == 0) return callback(new Error("server did not return METADATA-SYSTEM"), null);
+
+    if(_sameVersion(systemBlocks[0].attributes, cachedSystem.attributes, '')) return callback(null, cached);
+
+    fetch('RESOURCE', '0', function(err, resourceBlocks) {
+      if(err) return callback(err, null);
+
+      var blocks = systemBlocks.concat(resourceBlocks);
+      var cachedResources = _rows(_blocks(cached, 'RESOURCE'));
+      var resources = _rows(resourceBlocks);
+      var tasks = [];
+
+      // Work out the pieces of every resource to keep or download
+      resources.forEach(function(resource) {
+        var cachedResource = _find(cachedResources, 'ResourceID', resource.ResourceID);
+
+        RESOURCE_PIECES.forEach(function(piece) {
+          tasks.push(function(next) {
+            var types = [piece.type].concat(piece.children);
+            var match = {Resource: resource.ResourceID};
+
+            if(cachedResource != null && _sameVersion(resource, cachedResource, piece.version)) {
+              blocks = blocks.concat(_blocks(cached, types, match));
+              return next();
+            }
+
+            _fetchPiece(fetch, piece, resource.ResourceID, function(err, pieceBlocks) {
+              if(err) return next(err);
+              blocks = blocks.concat(pieceBlocks);
+              next();
+            });
+          });
+        });
+
+        // The classes are known once the CLASS piece is in
+        tasks.push(function(next) {
+          var cachedClasses = _rows(_blocks(cached, 'CLASS', {Resource: resource.ResourceID}));
+          var classes = _rows(_blocks(blocks, 'CLASS', {Resource: resource.ResourceID}));
+          var classTasks = [];
+
+          classes.forEach(function(metadataClass) {
+            var cachedClass = _find(cachedClasses, 'ClassName', metadataClass.ClassName);
+
+            CLASS_PIECES.forEach(function(piece) {
+              classTasks.push(function(nextClass) {
+                var types = [piece.type].concat(piece.children);
+                var match = {Resource: resource.ResourceID, Class: metadataClass.ClassName};
+
+                if(cachedClass != null && _sameVersion(metadataClass, cachedClass, piece.version)) {
+                  blocks = blocks.concat(_blocks(cached, types, match));
+                  return nextClass();
+                }
+
+                _fetchPiece(fetch, piece, resource.ResourceID + ':' + metadataClass.ClassName, function(err, pieceBlocks) {
+                  if(err) return nextClass(err);
+                  blocks = blocks.concat(pieceBlocks);
+                  nextClass();
+                });
+              });
+            });
+          });
+
+          _series(classTasks, next);
+        });
+      });
+
+      _series(tasks, function(err) {
+        if(err) return callback(err, null);
+        callback(null, blocks);
+      });
+    });
+  });
+}
+
+/**
+ * Download a piece and its child types
+ * @ignore
+ */
+var _fetchPiece = function(fetch, piece, id, callback) {
+  var types = [piece.type].concat(piece.children);
+  var blocks = [];
+
+  _series(types.map(function(type, index) {
+    return function(next) {
+      // Child types are requested for all the parents of the piece
+      fetch(type, index == 0 ? id : id + ':0', function(err, typeBlocks) {
+        if(err) return next(err);
+        blocks = blocks.concat(typeBlocks);
+        next();
+      });
+    }
+  }), function(err) {
+    callback(err, blocks);
+  });
+}
+
+/**
+ * Compare the Version and Date fields, missing versions never match
+ * @ignore
+ */
+var _sameVersion = function(current, cached, prefix) {
+  var version = prefix + 'Version';
+  var date = prefix + 'Date';
+
+  if(current[version] == null || current[version] == '') return false;
+  return current[version] == cached[version] && current[date] == cached[date];
+}
+
+/**
+ * The blocks of the given types whose attributes match
+ * @ignore
+ */
+var _blocks = function(blocks, types, match) {
+  types = Array.isArray(types) ? types : [types];
+
+  return blocks.filter(function(block) {
+    if(types.indexOf(block.type) == -1) return false;
+
+    for(var name in match) {
+      if(block.attributes[name] != match[name]) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * @ignore
+ */
+var _rows = function(blocks) {
+  var rows = [];
+  for(var i = 0; i < blocks.length; i++) rows = rows.concat(blocks[i].rows);
+  return rows;
+}
+
+/**
+ * @ignore
+ */
+var _find = function(list, key, value) {
+  for(var i = 0; i < list.length; i++) {
+    if(list[i][key] == value) return list[i];
+  }
+
+  return null;
+}
+
+/**
+ * Run the tasks one after the other
+ * @ignore
+ */
+var _series = function(tasks, callback) {
+  var run = function(index) {
+    if(index == tasks.length) return callback(null);
+
+    tasks[index](function(err) {
+      if(err) return callback(err);
+      run(index + 1);
+    });
+  }
+
+  run(0);
+}
+
+exports.MetadataCache = MetadataCache;
+exports.refresh = refresh;
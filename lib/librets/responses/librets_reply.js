@@ -1,83 +1,180 @@
-var Long = require('bson').Long
-  , timers = require('timers');
-
-// Set processor, setImmediate if 0.10 otherwise nextTick
-var processor = require('../utils').processor();
+var sax = require('sax')
+  , StringDecoder = require('string_decoder').StringDecoder
+  , RETSError = require('../errors').RETSError;
 
 /**
-  Reply message from libRETS 
+  Reply to a RETS Search in the COMPACT or COMPACT-DECODED format
+
+  <RETS ReplyCode="0" ReplyText="Success">
+  <COUNT Records="2" />
+  <DELIMITER value="09" />
+  <COLUMNS>	ListingID	ListPrice	</COLUMNS>
+  <DATA>	1234	500000	</DATA>
+  <MAXROWS />
+  </RETS>
+
+  Record values are the strings of the DATA rows, the cursor types them from the metadata.
 **/
 var libRETSReply = exports.libRETSReply = function() {
+  this.replyCode = null;
+  this.replyText = null;
+  // Column delimiter, tab unless the server says otherwise
+  this.delimiter = '\t';
+  // Column names, system or standard names depending on the Search
+  this.columns = null;
+  // Records keyed by column name
   this.documents = [];
-  this.index = 0;
+  // Number of matching records when the Search asked for a count
+  this.count = null;
+  // Number of records in the response
+  this.numberReturned = 0;
+  // Set when the server truncated the result set
+  this.maxRows = false;
+  // Called with every record when set, instead of collecting them in documents
+  this.ondocument = null;
+  // Incremental parser state
+  this._parser = null;
+  this._decoder = new StringDecoder('utf8');
 };
 
-libRETSReply.prototype.parseHeader = function(binary_reply, bson) {
-  // Unpack the standard header first
-  this.messageLength = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  this.index = this.index + 4;
-  // Fetch the request id for this reply
-  this.requestId = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  this.index = this.index + 4;
-  // Fetch the id of the request that triggered the response
-  this.responseTo = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  // Skip op-code field
-  this.index = this.index + 4 + 4;
-  // Unpack the reply message
-  this.responseFlag = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  this.index = this.index + 4;
-  // Unpack the cursor id (a 64 bit long integer)
-  var low_bits = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  this.index = this.index + 4;
-  var high_bits = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  this.index = this.index + 4;
-  this.cursorId = new Long(low_bits, high_bits);
-  // Unpack the starting from
-  this.startingFrom = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  this.index = this.index + 4;
-  // Unpack the number of objects returned
-  this.numberReturned = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-  this.index = this.index + 4;
+libRETSReply.prototype.parseBody = function(body, callback) {
+  try {
+    this.write(body);
+    this.end();
+  } catch(err) {
+    return callback(err);
+  }
+
+  // No error return
+  callback(null);
 }
 
-libRETSReply.prototype.parseBody = function(binary_reply, bson, raw, callback) {
-  raw = raw == null ? false : raw;
+/**
+ * Parse the next chunk of the response body, records are passed to ondocument when set
+ * instead of being collected in documents. Throws on malformed responses.
+ *
+ * @param {Buffer|String} chunk the chunk of the response body.
+ * @return {null}
+ * @api private
+ */
+libRETSReply.prototype.write = function(chunk) {
+  if(this._parser == null) this._parser = _createParser(this);
+  this._parser.write(typeof chunk == 'string' ? chunk : this._decoder.write(chunk));
+}
 
-  try {
-    // Let's unpack all the bson documents, deserialize them and store them
-    for(var object_index = 0; object_index < this.numberReturned; object_index++) {
-      var _options = {promoteLongs: bson.promoteLongs};
-      
-      // Read the size of the bson object
-      var bsonObjectSize = binary_reply[this.index] | binary_reply[this.index + 1] << 8 | binary_reply[this.index + 2] << 16 | binary_reply[this.index + 3] << 24;
-      
-      // If we are storing the raw responses to pipe straight through
-      if(raw) {
-        // Deserialize the object and add to the documents array
-        this.documents.push(binary_reply.slice(this.index, this.index + bsonObjectSize));
+/**
+ * Finish parsing the response body. Throws on malformed responses.
+ *
+ * @return {null}
+ * @api private
+ */
+libRETSReply.prototype.end = function() {
+  if(this._parser == null) this._parser = _createParser(this);
+  this._parser.write(this._decoder.end()).close();
+
+  if(this.replyCode == null || isNaN(this.replyCode))
+    throw new Error("search response does not contain a RETS ReplyCode");
+}
+
+libRETSReply.prototype.is_error = function() {
+  // No records found is an empty result
+  return this.replyCode != 0 && this.replyCode != RETSError.NO_RECORDS_FOUND;
+};
+
+libRETSReply.prototype.toError = function() {
+  return this.is_error() ? RETSError.create(this.replyCode, this.replyText) : null;
+};
+
+/**
+ * @ignore
+ */
+var _createParser = function(self) {
+  var parser = sax.parser(true, {trim: false});
+  var content = null;
+
+  parser.onopentag = function(node) {
+    switch(node.name) {
+      case 'RETS':
+        self.replyCode = parseInt(node.attributes.ReplyCode, 10);
+        self.replyText = node.attributes.ReplyText;
+        break;
+      case 'COUNT':
+        self.count = parseInt(node.attributes.Records, 10);
+        break;
+      case 'DELIMITER':
+        self.delimiter = _delimiter(node.attributes.value);
+        break;
+      case 'MAXROWS':
+        self.maxRows = true;
+        break;
+      case 'COLUMNS':
+      case 'DATA':
+        content = '';
+        break;
+    }
+  }
+
+  parser.ontext = function(text) {
+    if(content != null) content = content + text;
+  }
+
+  parser.onclosetag = function(name) {
+    if(name == 'COLUMNS') {
+      self.columns = _split(content, self.delimiter);
+    } else if(name == 'DATA') {
+      if(self.columns == null) throw new Error("search response contains DATA before COLUMNS");
+      var document = _document(self.columns, _split(content, self.delimiter));
+      self.numberReturned = self.numberReturned + 1;
+
+      if(self.ondocument != null) {
+        self.ondocument(document);
       } else {
-        // Deserialize the object and add to the documents array
-        this.documents.push(bson.deserialize(binary_reply.slice(this.index, this.index + bsonObjectSize), _options));
+        self.documents.push(document);
       }
-      
-      // Adjust binary index to point to next block of binary bson data
-      this.index = this.index + bsonObjectSize;
     }
-    
-    // No error return
-    callback(null);
-  } catch(err) {
-    return callback(err);
+
+    content = null;
+  }
+
+  parser.onerror = function(err) {
+    throw err;
   }
+
+  return parser;
+}
+
+/**
+ * The DELIMITER value is the hex code of the delimiting character
+ * @ignore
+ */
+var _delimiter = function(value) {
+  if(value == null || !/^[0-9a-fA-F]{1,2}$/.test(value))
+    throw new Error("search response contains an invalid DELIMITER [" + value + "]");
+
+  return String.fromCharCode(parseInt(value, 16));
+}
+
+/**
+ * Split a COLUMNS or DATA row, rows start and end with the delimiter
+ * @ignore
+ */
+var _split = function(row, delimiter) {
+  var values = row.split(delimiter);
+  if(values.length > 1 && values[0] == '') values.shift();
+  if(values.length > 0 && values[values.length - 1] == '') values.pop();
+  return values;
 }
 
-libRETSReply.prototype.is_error = function(){
-  if(this.documents.length == 1) {
-    return this.documents[0].ok == 1 ? false : true;
+/**
+ * @ignore
+ */
+var _document = function(columns, values) {
+  var document = {};
+
+  for(var i = 0; i < columns.length; i++) {
+    if(columns[i] == '') continue;
+    document[columns[i]] = i < values.length ? values[i] : '';
   }
-  return false;
-};
 
-libRETSReply.prototype.error_message = function() {
-  return this.documents.length == 1 && this.documents[0].ok == 1 ? '' : this.documents[0].errmsg;
-};
+  return document;
+}
@@ -0,0 +1,65 @@
+var replyUtils = require('./reply_utils')
+  , RETSError = require('../errors').RETSError;
+
+// Capability URLs a server can hand out in the Login response
+var CAPABILITIES = ['Action', 'ChangePassword', 'GetObject', 'Login', 'LoginComplete', 'Logout'
+  , 'Search', 'GetMetadata', 'ServerInformation', 'Update', 'PostObject', 'GetPayloadList'];
+
+/**
+  Reply to a RETS Login transaction
+**/
+var LoginReply = exports.LoginReply = function() {
+  this.replyCode = null;
+  this.replyText = null;
+  // Capability URLs keyed by transaction name
+  this.capabilityUrls = {};
+  // All other key/value pairs of the RETS-RESPONSE (MemberName, MetadataVersion, ...)
+  this.info = {};
+};
+
+LoginReply.prototype.parseBody = function(body, callback) {
+  var parser = replyUtils.createParser(this);
+
+  try {
+    parser.write(body.toString()).close();
+  } catch(err) {
+    return callback(err);
+  }
+
+  if(this.replyCode == null || isNaN(this.replyCode))
+    return callback(new Error("login response does not contain a RETS ReplyCode"));
+
+  var values = replyUtils.parseKeyValues(parser.response);
+  for(var key in values) {
+    var capability = _capabilityName(key);
+
+    if(capability != null) {
+      this.capabilityUrls[capability] = values[key];
+    } else {
+      this.info[key] = values[key];
+    }
+  }
+
+  // No error return
+  callback(null);
+}
+
+LoginReply.prototype.is_error = function() {
+  return this.replyCode != 0;
+};
+
+LoginReply.prototype.toError = function() {
+  return this.is_error() ? RETSError.create(this.replyCode, this.replyText) : null;
+};
+
+/**
+ * Match a RETS-RESPONSE key against the known capabilities ignoring case
+ * @ignore
+ */
+var _capabilityName = function(key) {
+  for(var i = 0; i < CAPABILITIES.length; i++) {
+    if(CAPABILITIES[i].toLowerCase() == key.toLowerCase()) return CAPABILITIES[i];
+  }
+
+  return null;
+}
@@ -0,0 +1,54 @@
+var replyUtils = require('./reply_utils')
+  , RETSError = require('../errors').RETSError;
+
+/**
+  Reply to a RETS Logout transaction
+
+  <RETS ReplyCode="0" ReplyText="Logging out">
+  <RETS-RESPONSE>
+  ConnectTime=1234
+  Billing=...
+  SignOffMessage=Goodbye
+  </RETS-RESPONSE>
+  </RETS>
+**/
+var LogoutReply = exports.LogoutReply = function() {
+  this.replyCode = null;
+  this.replyText = null;
+  // Seconds the session was connected, null if not reported
+  this.connectTime = null;
+  this.billing = null;
+  this.signOffMessage = null;
+  // All the key/value pairs of the RETS-RESPONSE
+  this.info = {};
+};
+
+LogoutReply.prototype.parseBody = function(body, callback) {
+  var parser = replyUtils.createParser(this);
+
+  try {
+    parser.write(body.toString()).close();
+  } catch(err) {
+    return callback(err);
+  }
+
+  if(this.replyCode == null || isNaN(this.replyCode))
+    return callback(new Error("logout response does not contain a RETS ReplyCode"));
+
+  this.info = replyUtils.parseKeyValues(parser.response);
+  var connectTime = parseInt(this.info.ConnectTime, 10);
+  this.connectTime = isNaN(connectTime) ? null : connectTime;
+  this.billing = this.info.Billing != null ? this.info.Billing : null;
+  this.signOffMessage = this.info.SignOffMessage != null ? this.info.SignOffMessage : null;
+
+  // No error return
+  callback(null);
+}
+
+LogoutReply.prototype.is_error = function() {
+  return this.replyCode != 0;
+};
+
+LogoutReply.prototype.toError = function() {
+  return this.is_error() ? RETSError.create(this.replyCode, this.replyText) : null;
+};
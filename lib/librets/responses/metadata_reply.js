@@ -0,0 +1,124 @@
+var sax = require('sax')
+  , RETSError = require('../errors').RETSError;
+
+/**
+  Reply to a RETS GetMetadata transaction in the COMPACT format
+
+  <RETS ReplyCode="0" ReplyText="Success">
+  <METADATA-TABLE Resource="Property" Class="RES" Version="1.00.000" Date="2014-01-01T00:00:00Z">
+  <COLUMNS>	SystemName	StandardName	DataType	</COLUMNS>
+  <DATA>	LP	ListPrice	Decimal	</DATA>
+  </METADATA-TABLE>
+  </RETS>
+
+  Every METADATA-* element is collected as a block {type, attributes, rows}, METADATA-SYSTEM
+  blocks carry the SYSTEM attributes and COMMENTS as their single row.
+**/
+var MetadataReply = exports.MetadataReply = function() {
+  this.replyCode = null;
+  this.replyText = null;
+  // Metadata blocks in the order they were received
+  this.blocks = [];
+};
+
+MetadataReply.prototype.parseBody = function(body, callback) {
+  var self = this;
+  var parser = sax.parser(true, {trim: false});
+  // Block being parsed
+  var block = null;
+  var columns = null;
+  var content = null;
+  var delimiter = '\t';
+
+  parser.onopentag = function(node) {
+    if(node.name == 'RETS') {
+      self.replyCode = parseInt(node.attributes.ReplyCode, 10);
+      self.replyText = node.attributes.ReplyText;
+    } else if(node.name.indexOf('METADATA-') == 0) {
+      block = {type: node.name.substr('METADATA-'.length), attributes: node.attributes, rows: []};
+      columns = null;
+      delimiter = '\t';
+    } else if(block == null) {
+      return;
+    } else if(node.name == 'SYSTEM') {
+      block.rows.push(_copy(node.attributes));
+    } else if(node.name == 'DELIMITER') {
+      delimiter = String.fromCharCode(parseInt(node.attributes.value, 16));
+    } else if(node.name == 'COLUMNS' || node.name == 'DATA' || node.name == 'COMMENTS') {
+      content = '';
+    }
+  }
+
+  parser.ontext = function(text) {
+    if(content != null) content = content + text;
+  }
+
+  parser.onclosetag = function(name) {
+    if(block == null) return;
+
+    if(name.indexOf('METADATA-') == 0) {
+      self.blocks.push(block);
+      block = null;
+    } else if(name == 'COLUMNS') {
+      columns = _split(content, delimiter);
+    } else if(name == 'DATA') {
+      if(columns == null) throw new Error("metadata response contains DATA before COLUMNS");
+      var values = _split(content, delimiter);
+      var row = {};
+
+      for(var i = 0; i < columns.length; i++) {
+        if(columns[i] != '') row[columns[i]] = i < values.length ? values[i] : '';
+      }
+
+      block.rows.push(row);
+    } else if(name == 'COMMENTS' && block.rows.length > 0) {
+      block.rows[0].Comments = content.trim();
+    }
+
+    content = null;
+  }
+
+  parser.onerror = function(err) {
+    throw err;
+  }
+
+  try {
+    parser.write(body.toString()).close();
+  } catch(err) {
+    return callback(err);
+  }
+
+  if(this.replyCode == null || isNaN(this.replyCode))
+    return callback(new Error("metadata response does not contain a RETS ReplyCode"));
+
+  // No error return
+  callback(null);
+}
+
+MetadataReply.prototype.is_error = function() {
+  return this.replyCode != 0;
+};
+
+MetadataReply.prototype.toError = function() {
+  return this.is_error() ? RETSError.create(this.replyCode, this.replyText) : null;
+};
+
+/**
+ * Split a COLUMNS or DATA row, rows start and end with the delimiter
+ * @ignore
+ */
+var _split = function(row, delimiter) {
+  var values = row.split(delimiter);
+  if(values.length > 1 && values[0] == '') values.shift();
+  if(values.length > 0 && values[values.length - 1] == '') values.pop();
+  return values;
+}
+
+/**
+ * @ignore
+ */
+var _copy = function(object) {
+  var copy = {};
+  for(var name in object) copy[name] = object[name];
+  return copy;
+}
@@ -0,0 +1,219 @@
+var sax = require('sax')
+  , RETSError = require('../errors').RETSError;
+
+/**
+  Reply to a RETS GetObject transaction
+
+  A single object is returned as the response body with its Content-ID and Object-ID headers,
+  several objects as a multipart/parallel body with the same headers on every part.
+
+  --simple boundary
+  Content-ID: 12345
+  Object-ID: 1
+  Content-Type: image/jpeg
+  Preferred: 1
+
+  <binary data>
+  --simple boundary--
+
+  Every object is returned as a record {contentId, objectId, contentType, contentDescription,
+  contentSubDescription, location, preferred, data, error}, parts flagged with RETS-Error
+  carry the RETSError of their body as error. Objects returned by Location carry no data.
+**/
+var ObjectReply = exports.ObjectReply = function() {
+  this.replyCode = 0;
+  this.replyText = null;
+  // Object records in the order they were received
+  this.objects = [];
+};
+
+ObjectReply.prototype.parseBody = function(body, headers, callback) {
+  var contentType = headers['content-type'] || '';
+
+  try {
+    if(/^multipart\//i.test(contentType)) {
+      var boundary = _boundary(contentType);
+      if(boundary == null) throw new Error("multipart GetObject response does not contain a boundary");
+
+      var parts = _parts(body, boundary);
+      for(var i = 0; i < parts.length; i++) {
+        this.objects.push(_object(parts[i].headers, parts[i].body));
+      }
+    } else if(_isRETSReply(headers, body)) {
+      // The whole transaction failed
+      var reply = _parseRETSReply(body);
+      this.replyCode = reply.replyCode;
+      this.replyText = reply.replyText;
+    } else {
+      this.objects.push(_object(headers, body));
+    }
+  } catch(err) {
+    return callback(err);
+  }
+
+  // No error return
+  callback(null);
+}
+
+ObjectReply.prototype.is_error = function() {
+  // No objects found is an empty result
+  return this.replyCode != 0 && this.replyCode != ObjectReply.NO_OBJECT_FOUND;
+};
+
+ObjectReply.prototype.toError = function() {
+  return this.is_error() ? RETSError.create(this.replyCode, this.replyText) : null;
+};
+
+/**
+ * Build the record of an object
+ * @ignore
+ */
+var _object = function(headers, body) {
+  var object = {
+      contentId: _header(headers, 'content-id')
+    , objectId: _header(headers, 'object-id')
+    , contentType: _header(headers, 'content-type')
+    , contentDescription: _header(headers, 'content-description')
+    , contentSubDescription: _header(headers, 'content-sub-description')
+    , location: _header(headers, 'location')
+    , preferred: _header(headers, 'preferred') == '1'
+    , data: body
+    , error: null
+  };
+
+  // The body of a failed object is a RETS reply
+  if(_header(headers, 'rets-error') == '1' || _isRETSReply(headers, body)) {
+    var reply = _parseRETSReply(body);
+    object.error = RETSError.create(reply.replyCode, reply.replyText);
+    object.data = null;
+  } else if(object.location != null) {
+    // The content is only referenced
+    object.data = null;
+  }
+
+  return object;
+}
+
+/**
+ * @ignore
+ */
+var _header = function(headers, name) {
+  var value = headers[name];
+  if(Array.isArray(value)) value = value[0];
+  return value == null ? null : String(value).trim();
+}
+
+/**
+ * Check if a text/xml body is a RETS reply rather than an XML object
+ * @ignore
+ */
+var _isRETSReply = function(headers, body) {
+  var contentType = _header(headers, 'content-type') || '';
+  if(!/^text\/xml/i.test(contentType)) return false;
+  return /^\s*(<\?xml[^>]*\?>\s*)?<RETS\s[^>]*ReplyCode/.test(body.slice(0, 1024).toString());
+}
+
+/**
+ * @ignore
+ */
+var _parseRETSReply = function(body) {
+  var parser = sax.parser(true, {trim: false});
+  var reply = {replyCode: null, replyText: null};
+
+  parser.onopentag = function(node) {
+    if(node.name == 'RETS' && reply.replyCode == null) {
+      reply.replyCode = parseInt(node.attributes.ReplyCode, 10);
+      reply.replyText = node.attributes.ReplyText;
+    }
+  }
+
+  parser.onerror = function(err) {
+    throw err;
+  }
+
+  parser.write(body.toString()).close();
+  if(reply.replyCode == null || isNaN(reply.replyCode))
+    throw new Error("GetObject error does not contain a RETS ReplyCode");
+
+  return reply;
+}
+
+/**
+ * Read the boundary parameter of a multipart content type
+ * @ignore
+ */
+var _boundary = function(contentType) {
+  var match = /boundary\s*=\s*(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  return match == null ? null : (match[1] || match[2]);
+}
+
+/**
+ * Split a multipart body into its parts {headers, body}
+ * @ignore
+ */
+var _parts = function(body, boundary) {
+  var delimiter = new Buffer('--' + boundary);
+  var parts = [];
+  var index = body.indexOf(delimiter);
+
+  while(index != -1) {
+    var start = index + delimiter.length;
+    // Closing delimiter
+    if(body[start] == 0x2d && body[start + 1] == 0x2d) break;
+
+    // Skip the rest of the delimiter line
+    var lineEnd = body.indexOf('\n', start);
+    if(lineEnd == -1) break;
+    start = lineEnd + 1;
+
+    var next = body.indexOf(delimiter, start);
+    if(next == -1) throw new Error("multipart GetObject response is truncated");
+
+    // The line break before the delimiter belongs to the delimiter
+    var end = next;
+    if(body[end - 1] == 0x0a) end = end - 1;
+    if(body[end - 1] == 0x0d) end = end - 1;
+
+    parts.push(_part(body.slice(start, Math.max(start, end))));
+    index = next;
+  }
+
+  return parts;
+}
+
+/**
+ * Split a part into its headers and body
+ * @ignore
+ */
+var _part = function(part) {
+  var headers = {};
+  var separator = part.indexOf('\r\n\r\n');
+  var separatorLength = 4;
+
+  if(separator == -1 || part.indexOf('\n\n') != -1 && part.indexOf('\n\n') < separator) {
+    separator = part.indexOf('\n\n');
+    separatorLength = 2;
+  }
+
+  // Headers only
+  if(separator == -1) {
+    separator = part.length;
+    separatorLength = 0;
+  }
+
+  var lines = part.slice(0, separator).toString('binary').split(/\r?\n/);
+  for(var i = 0; i < lines.length; i++) {
+    var index = lines[i].indexOf(':');
+    if(index == -1) continue;
+    headers[lines[i].substr(0, index).trim().toLowerCase()] = lines[i].substr(index + 1).trim();
+  }
+
+  return {headers: headers, body: part.slice(separator + separatorLength)};
+}
+
+/**
+ * ReplyCode of a GetObject without any of the objects, an empty result rather than a failure.
+ *
+ * @classconstant NO_OBJECT_FOUND
+ **/
+ObjectReply.NO_OBJECT_FOUND = 20403;
@@ -0,0 +1,93 @@
+var sax = require('sax')
+  , RETSError = require('../errors').RETSError;
+
+/**
+  Reply to a RETS PostObject transaction
+
+  <RETS ReplyCode="0" ReplyText="Success">
+  <RETS-RESPONSE>
+  ResourceID=12345
+  ObjectID=3
+  </RETS-RESPONSE>
+  </RETS>
+
+  The key/value pairs of the RETS-RESPONSE are collected as info, the ERRORDATA of an
+  ERRORBLOCK as errors.
+**/
+var PostObjectReply = exports.PostObjectReply = function() {
+  this.replyCode = null;
+  this.replyText = null;
+  // ObjectID assigned or confirmed by the server
+  this.objectId = null;
+  this.info = {};
+  this.errors = [];
+};
+
+PostObjectReply.prototype.parseBody = function(body, callback) {
+  var self = this;
+  var parser = sax.parser(true, {trim: false});
+  var content = null;
+  var response = '';
+
+  parser.onopentag = function(node) {
+    if(node.name == 'RETS') {
+      self.replyCode = parseInt(node.attributes.ReplyCode, 10);
+      self.replyText = node.attributes.ReplyText;
+    } else if(node.name == 'RETS-RESPONSE' || node.name == 'ERRORDATA') {
+      content = '';
+    }
+  }
+
+  parser.ontext = function(text) {
+    if(content != null) content = content + text;
+  }
+
+  parser.onclosetag = function(name) {
+    if(name == 'RETS-RESPONSE') {
+      response = content;
+    } else if(name == 'ERRORDATA') {
+      self.errors.push(content.trim());
+    }
+
+    if(name == 'RETS-RESPONSE' || name == 'ERRORDATA') content = null;
+  }
+
+  parser.onerror = function(err) {
+    throw err;
+  }
+
+  try {
+    parser.write(body.toString()).close();
+  } catch(err) {
+    return callback(err);
+  }
+
+  if(this.replyCode == null || isNaN(this.replyCode))
+    return callback(new Error("post object response does not contain a RETS ReplyCode"));
+
+  // Split up the key/value pairs
+  var lines = response.split(/\r?\n/);
+  for(var i = 0; i < lines.length; i++) {
+    var index = lines[i].indexOf('=');
+    if(index == -1) continue;
+    this.info[lines[i].substr(0, index).trim()] = lines[i].substr(index + 1).trim();
+  }
+
+  this.objectId = this.info.ObjectID != null ? this.info.ObjectID : null;
+
+  // No error return
+  callback(null);
+}
+
+PostObjectReply.prototype.is_error = function() {
+  return this.replyCode != 0;
+};
+
+PostObjectReply.prototype.toError = function() {
+  if(!this.is_error()) return null;
+
+  // Keep the error details of the server on the error
+  var err = RETSError.create(this.replyCode, this.replyText);
+  err.errors = this.errors;
+  return err;
+};
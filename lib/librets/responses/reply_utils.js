@@ -0,0 +1,70 @@
+var sax = require('sax');
+
+/**
+ * Create the parser of a Login or Logout reply. The ReplyCode and ReplyText of the RETS element are set
+ * on the reply and the text of the RETS-RESPONSE is collected in parser.response, RETS 1.0 servers put it
+ * straight in the RETS element. The parser throws on malformed responses.
+ *
+ * @param {Object} reply the reply to set the ReplyCode and ReplyText on.
+ * @return {Object} the sax parser.
+ * @api private
+ */
+var createParser = exports.createParser = function(reply) {
+  var parser = sax.parser(true, {trim: false});
+  // Number of open elements
+  var depth = 0;
+  var inResponse = false;
+  var hasResponse = false;
+  parser.response = '';
+
+  parser.onopentag = function(node) {
+    depth = depth + 1;
+
+    if(node.name == 'RETS') {
+      reply.replyCode = parseInt(node.attributes.ReplyCode, 10);
+      reply.replyText = node.attributes.ReplyText;
+    } else if(node.name == 'RETS-RESPONSE') {
+      inResponse = true;
+      hasResponse = true;
+      parser.response = '';
+    }
+  }
+
+  parser.ontext = function(text) {
+    if(inResponse || (!hasResponse && depth == 1)) parser.response = parser.response + text;
+  }
+
+  parser.oncdata = parser.ontext;
+
+  parser.onclosetag = function(name) {
+    depth = depth - 1;
+    if(name == 'RETS-RESPONSE') inResponse = false;
+  }
+
+  parser.onerror = function(err) {
+    throw err;
+  }
+
+  return parser;
+}
+
+/**
+ * Split up the key=value lines of a RETS-RESPONSE, lines without a = are skipped.
+ *
+ * @param {String} content the RETS-RESPONSE text.
+ * @return {Object} the values keyed by name.
+ * @api private
+ */
+var parseKeyValues = exports.parseKeyValues = function(content) {
+  var values = {};
+  var lines = content.split(/\r?\n/);
+
+  for(var i = 0; i < lines.length; i++) {
+    var index = lines[i].indexOf('=');
+    if(index == -1) continue;
+    values[lines[i].substr(0, index).trim()] = lines[i].substr(index + 1).trim();
+  }
+
+  return values;
+}
+
@@ -0,0 +1,214 @@
+var sax = require('sax')
+  , StringDecoder = require('string_decoder').StringDecoder
+  , RETSError = require('../errors').RETSError;
+
+/**
+  Reply to a RETS Search in the STANDARD-XML format
+
+  <RETS ReplyCode="0" ReplyText="Success">
+  <COUNT Records="1" />
+  <REData>
+    <REProperties>
+      <ResidentialProperty>
+        <Listing>
+          <StreetAddress><City>Chicago</City></StreetAddress>
+          <ListPrice>500000</ListPrice>
+        </Listing>
+      </ResidentialProperty>
+    </REProperties>
+  </REData>
+  </RETS>
+
+  Each record (ResidentialProperty above) is flattened into a document keyed by the element
+  names of its values ({City: 'Chicago', ListPrice: '500000'}) and repeated values are collected
+  in an Array. The key of a value is decided by its element path once for all the records: the
+  first path found with a name is keyed by the name, other paths ending with the same name are
+  keyed by the path ('Listing.Office.City'). Pass the keys of a previous reply to keep them
+  across the pages of a Search.
+**/
+var StandardXMLReply = exports.StandardXMLReply = function(keys) {
+  this.replyCode = null;
+  this.replyText = null;
+  // Flattened records
+  this.documents = [];
+  // Number of matching records when the Search asked for a count
+  this.count = null;
+  // Number of records in the response
+  this.numberReturned = 0;
+  // Set when the server truncated the result set
+  this.maxRows = false;
+  // Called with every record when set, instead of collecting them in documents
+  this.ondocument = null;
+  // Keys given to the element paths of the records and the paths owning the element names
+  this.keys = keys == null ? {paths: {}, names: {}} : keys;
+  // Incremental parser state
+  this._parser = null;
+  this._decoder = new StringDecoder('utf8');
+};
+
+StandardXMLReply.prototype.parseBody = function(body, callback) {
+  try {
+    this.write(body);
+    this.end();
+  } catch(err) {
+    return callback(err);
+  }
+
+  // No error return
+  callback(null);
+}
+
+/**
+ * Parse the next chunk of the response body, records are passed to ondocument when set
+ * instead of being collected in documents. Throws on malformed responses.
+ *
+ * @param {Buffer|String} chunk the chunk of the response body.
+ * @return {null}
+ * @api private
+ */
+StandardXMLReply.prototype.write = function(chunk) {
+  if(this._parser == null) this._parser = _createParser(this);
+  this._parser.write(typeof chunk == 'string' ? chunk : this._decoder.write(chunk));
+}
+
+/**
+ * Finish parsing the response body. Throws on malformed responses.
+ *
+ * @return {null}
+ * @api private
+ */
+StandardXMLReply.prototype.end = function() {
+  if(this._parser == null) this._parser = _createParser(this);
+  this._parser.write(this._decoder.end()).close();
+
+  if(this.replyCode == null || isNaN(this.replyCode))
+    throw new Error("search response does not contain a RETS ReplyCode");
+}
+
+StandardXMLReply.prototype.is_error = function() {
+  // No records found is an empty result
+  return this.replyCode != 0 && this.replyCode != RETSError.NO_RECORDS_FOUND;
+};
+
+StandardXMLReply.prototype.toError = function() {
+  return this.is_error() ? RETSError.create(this.replyCode, this.replyText) : null;
+};
+
+/**
+ * @ignore
+ */
+var _createParser = function(self) {
+  var parser = sax.parser(true, {trim: false});
+  // Open elements below REData
+  var stack = null;
+  // Values of the current record
+  var values = null;
+  // Text and child state of the open elements of the record
+  var elements = [];
+
+  parser.onopentag = function(node) {
+    if(stack == null) {
+      switch(node.name) {
+        case 'RETS':
+          self.replyCode = parseInt(node.attributes.ReplyCode, 10);
+          self.replyText = node.attributes.ReplyText;
+          break;
+        case 'COUNT':
+          self.count = parseInt(node.attributes.Records, 10);
+          break;
+        case 'MAXROWS':
+          self.maxRows = true;
+          break;
+        case 'REData':
+          stack = [];
+          break;
+      }
+
+      return;
+    }
+
+    stack.push(node.name);
+    // REData > container > record
+    if(stack.length == 2) {
+      values = [];
+      elements = [];
+    } else if(stack.length > 2) {
+      if(elements.length > 0) elements[elements.length - 1].hasChildren = true;
+      elements.push({text: '', hasChildren: false});
+    }
+  }
+
+  parser.ontext = function(text) {
+    if(elements.length > 0) elements[elements.length - 1].text += text;
+  }
+
+  parser.oncdata = parser.ontext;
+
+  parser.onclosetag = function(name) {
+    if(stack == null) return;
+    if(stack.length == 0) {
+      stack = null;
+      return;
+    }
+
+    if(stack.length == 2) {
+      var document = _flatten(self.keys, values);
+      self.numberReturned = self.numberReturned + 1;
+
+      if(self.ondocument != null) {
+        self.ondocument(document);
+      } else {
+        self.documents.push(document);
+      }
+
+      values = null;
+    } else if(stack.length > 2) {
+      var element = elements.pop();
+      // Only leaf elements carry values
+      if(!element.hasChildren) values.push({path: stack.slice(2), value: element.text.trim()});
+    }
+
+    stack.pop();
+  }
+
+  parser.onerror = function(err) {
+    throw err;
+  }
+
+  return parser;
+}
+
+/**
+ * Turn the leaf values of a record into a flat document
+ * @ignore
+ */
+var _flatten = function(keys, values) {
+  var document = {};
+
+  for(var i = 0; i < values.length; i++) {
+    var key = _key(keys, values[i].path);
+
+    if(!document.hasOwnProperty(key)) {
+      document[key] = values[i].value;
+    } else if(Array.isArray(document[key])) {
+      document[key].push(values[i].value);
+    } else {
+      document[key] = [document[key], values[i].value];
+    }
+  }
+
+  return document;
+}
+
+/**
+ * The key of an element path, the first path ending with a name owns the name
+ * @ignore
+ */
+var _key = function(keys, path) {
+  var joined = path.join('.');
+  if(keys.paths.hasOwnProperty(joined)) return keys.paths[joined];
+
+  var name = path[path.length - 1];
+  if(!keys.names.hasOwnProperty(name)) keys.names[name] = joined;
+  return keys.paths[joined] = keys.names[name] == joined ? name : joined;
+}
@@ -0,0 +1,130 @@
+var sax = require('sax')
+  , RETSError = require('../errors').RETSError;
+
+/**
+  Reply to a RETS Update transaction
+
+  <RETS ReplyCode="0" ReplyText="Success">
+  <DELIMITER value="09"/>
+  <COLUMNS>	LN	LP	</COLUMNS>
+  <DATA>	12345	300000	</DATA>
+  <ERRORBLOCK>
+  <ERRORDATA>LP	20	0	Price out of range</ERRORDATA>
+  </ERRORBLOCK>
+  <WARNINGBLOCK>
+  <WARNINGDATA>LP	31	0	Price changed by more than 10%	1</WARNINGDATA>
+  </WARNINGBLOCK>
+  </RETS>
+
+  The record as stored by the server is keyed by the COLUMNS, field errors are collected as
+  {fieldName, errorNumber, offset, errorText} and warnings as
+  {fieldName, warningNumber, offset, warningText, responseRequired}. The errorText and warningText
+  are single fields of the row and must not contain the delimiter, the responseRequired flag follows
+  the warningText.
+**/
+var UpdateReply = exports.UpdateReply = function() {
+  this.replyCode = null;
+  this.replyText = null;
+  this.record = null;
+  this.errors = [];
+  this.warnings = [];
+};
+
+UpdateReply.prototype.parseBody = function(body, callback) {
+  var self = this;
+  var parser = sax.parser(true, {trim: false});
+  var delimiter = '\t';
+  var columns = null;
+  var content = null;
+
+  parser.onopentag = function(node) {
+    if(node.name == 'RETS') {
+      self.replyCode = parseInt(node.attributes.ReplyCode, 10);
+      self.replyText = node.attributes.ReplyText;
+    } else if(node.name == 'DELIMITER') {
+      delimiter = String.fromCharCode(parseInt(node.attributes.value, 16));
+    } else if(node.name == 'COLUMNS' || node.name == 'DATA' || node.name == 'ERRORDATA' || node.name == 'WARNINGDATA') {
+      content = '';
+    }
+  }
+
+  parser.ontext = function(text) {
+    if(content != null) content = content + text;
+  }
+
+  parser.onclosetag = function(name) {
+    if(content == null) return;
+
+    if(name == 'COLUMNS') {
+      columns = _split(content, delimiter);
+    } else if(name == 'DATA') {
+      if(columns == null) throw new Error("update response contains DATA before COLUMNS");
+      var values = _split(content, delimiter);
+      self.record = {};
+
+      for(var i = 0; i < columns.length; i++) {
+        if(columns[i] != '') self.record[columns[i]] = i < values.length ? values[i] : '';
+      }
+    } else if(name == 'ERRORDATA') {
+      var values = _split(content, delimiter);
+      self.errors.push({
+          fieldName: values[0]
+        , errorNumber: parseInt(values[1], 10)
+        , offset: parseInt(values[2], 10) || 0
+        , errorText: values[3]
+      });
+    } else if(name == 'WARNINGDATA') {
+      var values = _split(content, delimiter);
+      self.warnings.push({
+          fieldName: values[0]
+        , warningNumber: parseInt(values[1], 10)
+        , offset: parseInt(values[2], 10) || 0
+        , warningText: values[3]
+        , responseRequired: parseInt(values[4], 10) || 0
+      });
+    }
+
+    content = null;
+  }
+
+  parser.onerror = function(err) {
+    throw err;
+  }
+
+  try {
+    parser.write(body.toString()).close();
+  } catch(err) {
+    return callback(err);
+  }
+
+  if(this.replyCode == null || isNaN(this.replyCode))
+    return callback(new Error("update response does not contain a RETS ReplyCode"));
+
+  // No error return
+  callback(null);
+}
+
+UpdateReply.prototype.is_error = function() {
+  return this.replyCode != 0;
+};
+
+UpdateReply.prototype.toError = function() {
+  if(!this.is_error()) return null;
+
+  // Keep the field level details on the error
+  var err = RETSError.create(this.replyCode, this.replyText);
+  err.errors = this.errors;
+  err.warnings = this.warnings;
+  return err;
+};
+
+/**
+ * Split a delimited row, rows may start and end with the delimiter
+ * @ignore
+ */
+var _split = function(row, delimiter) {
+  var values = row.replace(/^[\r\n]+|[\r\n]+$/g, '').split(delimiter);
+  if(values.length > 1 && values[0] == '') values.shift();
+  if(values.length > 0 && values[values.length - 1] == '') values.pop();
+  return values;
+}
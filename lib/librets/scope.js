@@ -1,4 +1,5 @@
 var Readable = require('stream').Readable
+  , Cursor = require('./cursor').Cursor
   , utils = require('./utils')
   , inherits = require('util').inherits;
 
@@ -7,7 +8,7 @@ var Scope = function(collection, _selector, _fields, _scope_options) {
 
   // Ensure we have at least an empty cursor options object
   _scope_options = _scope_options || {};
-  var _write_concern = _scope_options.write_concern || null;
+  var _update_options = _scope_options.update_options || null;
 
   // Ensure default read preference
   if(!_scope_options.readPreference) _scope_options.readPreference = {readPreference: 'primary'};
@@ -16,22 +17,16 @@ var Scope = function(collection, _selector, _fields, _scope_options) {
   var writeOptions = {
     insert: function(documents, callback) {
       // Merge together options
-      var options = _write_concern || {};
+      var options = _update_options || {};
       // Execute insert
       collection.insert(documents, options, callback);
     },
     
     save: function(document, callback) {
       // Merge together options
-      var save_options = _write_concern || {};
+      var save_options = _update_options || {};
       // Execute save
-      collection.save(document, save_options, function(err, result) {
-        if(typeof result == 'number' && result == 1) {
-          return callback(null, document);
-        }
-
-        return callback(null, document);
-      });
+      collection.save(document, save_options, callback);
     },
 
     find: function(selector) {
@@ -40,36 +35,33 @@ var Scope = function(collection, _selector, _fields, _scope_options) {
     },
 
     //
-    // Update is implicit multiple document update
+    // Update changes the single record named by the selector
     update: function(operations, callback) {
       // Merge together options
-      var update_options = _write_concern || {};
-      
-      // Set up options, multi is default operation
-      update_options.multi = _scope_options.multi ? _scope_options.multi : true;
-      if(_scope_options.upsert) update_options.upsert = _scope_options.upsert;
-      
+      var update_options = _update_options || {};
       // Execute options
-      collection.update(_selector, operations, update_options, function(err, result, obj) {
-        callback(err, obj);
-      });
+      collection.update(_selector, operations, update_options, callback);
     },
   }
 
-  // Set write concern
-  this.withWriteConcern = function(write_concern) {
-    // Save the current write concern to the Scope
-    _scope_options.write_concern = write_concern;
-    _write_concern = write_concern;
+  // Set the Update options (validate, warningResponse)
+  this.withUpdateOptions = function(update_options) {
+    // Save the current update options to the Scope
+    _scope_options.update_options = update_options;
+    _update_options = update_options;
     // Only allow legal options
     return writeOptions;
   }
 
+  // Deprecated, use withUpdateOptions instead
+  this.withWriteConcern = this.withUpdateOptions;
+
   // Start find
   this.find = function(selector, options) {
     // Save the current selector
     _selector = selector;
-  return null;
+    // Create the cursor driving the RETS Searches
+    return new Cursor(collection.db, collection, _selector, _fields, _scope_options);
   }
 }
 
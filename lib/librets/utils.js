@@ -1,4 +1,5 @@
-var timers = require('timers');
+var timers = require('timers')
+  , RETSError = require('./errors').RETSError;
 
 /**
  * Sort functions, Normalize and prepare sort parameters
@@ -106,9 +107,13 @@ exports.isRegExp = function (arg) {
 var toError = function(error) {
   if (error instanceof Error) return error;
 
+  // Replies carrying a RETS ReplyCode
+  if (error != null && typeof error == 'object' && error.replyCode != null) {
+    return RETSError.create(error.replyCode, error.replyText);
+  }
+
   var msg = error.err || error.errmsg || error.errMessage || error;
   var e = new Error(msg);
-  e.name = 'MongoError';
 
   // Get all object keys
   var keys = typeof error == 'object'
@@ -0,0 +1,92 @@
+var assert = require('assert')
+  , helpers = require('./helpers')
+  , Db = require('../lib/librets/db').Db
+  , libRETSReply = require('../lib/librets/responses/librets_reply').libRETSReply
+  , Coercion = require('../lib/librets/coercion').Coercion;
+
+/**
+ * The records of the search_compact.xml fixture
+ */
+var records = function() {
+  var reply = new libRETSReply();
+  reply.parseBody(helpers.fixture('search_compact.xml'), function(err) { if(err) throw err; });
+  return reply.documents;
+}
+
+describe('Coercion', function() {
+  var metadata = helpers.metadata();
+
+  it('coerces a COMPACT row by the TABLE DataType, Precision and Interpretation', function() {
+    var record = new Coercion(metadata, 'Property', 'RES').record(records()[0]);
+
+    assert.strictEqual(record.LN, '1');
+    assert.strictEqual(record.LP, 100.46);
+    // Lookup values stay strings
+    assert.strictEqual(record.ST, 'A');
+    assert.strictEqual(record.FT, 'P,G');
+    assert.strictEqual(record.BR, 3);
+    // Beyond 53 bits
+    assert.strictEqual(record.BIG, '9007199254740993');
+    assert.strictEqual(record.WF, true);
+    assert.equal(record.LD.toISOString(), '2014-05-01T00:00:00.000Z');
+    // DateTime and Time without a zone are in the TimeZoneOffset of the server
+    assert.equal(record.MT.toISOString(), '2014-05-01T15:30:00.000Z');
+    assert.equal(record.OT.toISOString(), '1970-01-01T13:15:00.000Z');
+  });
+
+  it('turns empty values into null and keeps values not matching their type', function() {
+    var record = new Coercion(metadata, 'Property', 'RES').record(records()[1]);
+
+    assert.strictEqual(record.LP, null);
+    assert.strictEqual(record.LD, null);
+    assert.strictEqual(record.BR, 'x');
+    assert.strictEqual(record.BIG, 42);
+    assert.strictEqual(record.WF, false);
+    assert.equal(record.MT.toISOString(), '2014-05-01T10:30:00.500Z');
+  });
+
+  it('keeps Long values as strings without promoteLongs', function() {
+    var record = new Coercion(metadata, 'Property', 'RES', {promoteLongs: false}).record({BIG: '42', SQ: '7', TN: '-1'});
+    assert.deepEqual(record, {BIG: '42', SQ: 7, TN: -1});
+  });
+
+  it('keys the tables by StandardName with standardNames', function() {
+    var coercion = new Coercion(metadata, 'Property', 'RES', {standardNames: true});
+    assert.deepEqual(coercion.record({ListPrice: '5', LP: '5', Bedrooms: '2'}), {ListPrice: 5, LP: '5', Bedrooms: 2});
+  });
+
+  it('accepts the Boolean spellings', function() {
+    var coercion = new Coercion(metadata, 'Property', 'RES');
+    assert.deepEqual(['1', '0', 'Y', 'n', 'true', 'False', 'maybe'].map(function(value) {
+      return coercion.record({WF: value}).WF;
+    }), [true, false, true, false, true, false, 'maybe']);
+  });
+
+  it('rejects unknown classes', function() {
+    assert.throws(function() { new Coercion(metadata, 'Property', 'XX'); }, /class XX of resource Property not found/);
+  });
+
+  it('coerces a COMPACT row with the TABLE of the class only', function(done) {
+    var requests = [];
+    var db = helpers.metadataDb(requests);
+
+    Db.prototype._searchMetadata.call(db, 'Property', 'RES', function(err, classMetadata) {
+      assert.equal(err, null);
+      assert.deepEqual(requests, ['METADATA-SYSTEM 0', 'METADATA-RESOURCE 0', 'METADATA-CLASS Property', 'METADATA-TABLE Property:RES']);
+      assert.equal(classMetadata.class('Property', 'LND').tables.length, 0);
+
+      var record = new Coercion(classMetadata, 'Property', 'RES').record(records()[0]);
+      assert.strictEqual(record.LP, 100.46);
+      assert.strictEqual(record.BR, 3);
+      assert.equal(record.MT.toISOString(), '2014-05-01T15:30:00.000Z');
+
+      // The class is kept for the session
+      Db.prototype._searchMetadata.call(db, 'Property', 'RES', function(err, metadata) {
+        assert.equal(err, null);
+        assert.strictEqual(metadata, classMetadata);
+        assert.equal(requests.length, 4);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+var assert = require('assert')
+  , commands = require('../lib/librets/collection/commands');
+
+/**
+ * A collection of a db answering the Searches with the reply of their Count parameter
+ */
+var countCollection = function(replies, searches) {
+  var db = {
+      options: {}
+    , _executeRETSCommand: function(command, callback) {
+      searches.push(command.parameters.Count);
+      callback(null, {body: replies[command.parameters.Count]});
+    }
+  };
+
+  return {resourceName: 'Property', className: 'RES', opts: {}, db: db};
+}
+
+describe('Collection.count', function() {
+  var counted = '<RETS ReplyCode="0" ReplyText="Success"><COUNT Records="42"/></RETS>';
+
+  it('counts with Count=1 when the server rejects count only Searches', function(done) {
+    var searches = [];
+    var collection = countCollection({2: '<RETS ReplyCode="20207" ReplyText="Unauthorized Query"/>', 1: counted}, searches);
+
+    commands.count.call(collection, '(LN=.ANY.)', function(err, count) {
+      assert.equal(err, null);
+      assert.equal(count, 42);
+      assert.deepEqual(searches, [2, 1]);
+      done();
+    });
+  });
+
+  it('counts with Count=1 when the count only Search has no COUNT', function(done) {
+    var searches = [];
+    var collection = countCollection({2: '<RETS ReplyCode="0" ReplyText="Success"/>', 1: counted}, searches);
+
+    commands.count.call(collection, '(LN=.ANY.)', function(err, count) {
+      assert.equal(err, null);
+      assert.equal(count, 42);
+      assert.deepEqual(searches, [2, 1]);
+      done();
+    });
+  });
+
+  it('returns the other errors of the count only Search', function(done) {
+    var searches = [];
+    var collection = countCollection({2: '<RETS ReplyCode="20206" ReplyText="Invalid Query Syntax"/>', 1: counted}, searches);
+
+    commands.count.call(collection, '(LN=.ANY.)', function(err, count) {
+      assert.equal(err.replyCode, 20206);
+      assert.equal(count, null);
+      assert.deepEqual(searches, [2]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,58 @@
+var assert = require('assert')
+  , helpers = require('./helpers')
+  , shared = require('../lib/librets/collection/shared')
+  , DataDictionary = require('../lib/librets/data_dictionary').DataDictionary;
+
+describe('DataDictionary', function() {
+  var metadata = helpers.metadata();
+
+  it('maps SystemNames to the TABLE StandardNames', function() {
+    var dictionary = new DataDictionary(metadata, 'Property', 'RES');
+
+    assert.equal(dictionary.standardName('LP'), 'ListPrice');
+    assert.equal(dictionary.systemName('ListPrice'), 'LP');
+    // Fields without a StandardName keep their SystemName
+    assert.equal(dictionary.standardName('AG'), 'AG');
+    assert.equal(dictionary.systemName('AG'), 'AG');
+  });
+
+  it('takes the overrides before the StandardNames', function() {
+    var dictionary = new DataDictionary(metadata, 'Property', 'RES', {ST: 'StandardStatus', AG: 'ListAgentID', BR: 'BedroomsTotal', X: 'Extra'});
+
+    assert.deepEqual(dictionary.record({ST: 'A', AG: '7', BR: '3', X: '1', LP: '5'}),
+      {StandardStatus: 'A', ListAgentID: '7', BedroomsTotal: '3', Extra: '1', ListPrice: '5'});
+    assert.equal(dictionary.systemName('Bedrooms'), 'Bedrooms');
+  });
+
+  it('gives a name claimed by an override to the overridden field only', function() {
+    var dictionary = new DataDictionary(metadata, 'Property', 'RES', {AG: 'ListPrice'});
+
+    assert.equal(dictionary.systemName('ListPrice'), 'AG');
+    assert.equal(dictionary.standardName('LP'), 'LP');
+  });
+
+  it('translates selectors to SystemNames', function() {
+    var dictionary = new DataDictionary(metadata, 'Property', 'RES');
+    var selector = {ListPrice: {$gte: 5}, $or: [{Status: 'A'}, {Bedrooms: {$in: [2, 3]}}], AG: '1'};
+
+    assert.deepEqual(dictionary.selector(selector), {LP: {$gte: 5}, $or: [{ST: 'A'}, {BR: {$in: [2, 3]}}], AG: '1'});
+    assert.equal(dictionary.selector('(LP=5+)'), '(LP=5+)');
+  });
+
+  it('rejects unknown classes', function() {
+    assert.throws(function() { new DataDictionary(metadata, 'Office', 'OFF'); }, /not found in the metadata/);
+  });
+});
+
+describe('shared._getDataDictionary', function() {
+  it('defaults the option of count and distinct to the collection and the db', function() {
+    var overrides = {ST: 'StandardStatus'};
+    var collection = {opts: {}, db: {options: {dataDictionary: true}}};
+
+    assert.strictEqual(shared._getDataDictionary(collection, {}), true);
+    assert.strictEqual(shared._getDataDictionary(collection, {dataDictionary: false}), false);
+    collection.opts.dataDictionary = overrides;
+    assert.strictEqual(shared._getDataDictionary(collection, {}), overrides);
+    assert.strictEqual(shared._getDataDictionary({db: {options: {}}}, {}), false);
+  });
+});
@@ -0,0 +1,87 @@
+var assert = require('assert')
+  , crypto = require('crypto')
+  , DigestAuth = require('../lib/librets/auth/digest').DigestAuth;
+
+var md5 = function(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+/**
+ * The parameters of an Authorization header
+ */
+var parameters = function(header) {
+  var values = {};
+  var regexp = /([a-z]+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))/g;
+  var param;
+
+  while((param = regexp.exec(header.replace(/^Digest /, ''))) != null) {
+    values[param[1]] = param[2] != null ? param[2].replace(/\\(.)/g, '$1') : param[3];
+  }
+
+  return values;
+}
+
+describe('DigestAuth', function() {
+  it('parses a challenge out of several WWW-Authenticate headers', function() {
+    var challenge = DigestAuth.parseChallenge(['Basic realm="x"', 'Digest realm="RETS \\"Server\\"", nonce="abc", qop="auth,auth-int", opaque=xyz, stale=TRUE']);
+
+    assert.equal(challenge.realm, 'RETS "Server"');
+    assert.equal(challenge.nonce, 'abc');
+    assert.equal(challenge.qop, 'auth,auth-int');
+    assert.equal(challenge.opaque, 'xyz');
+    assert.equal(challenge.stale, true);
+    assert.equal(DigestAuth.parseChallenge('Basic realm="x"'), null);
+  });
+
+  it('answers a qop=auth challenge', function() {
+    var auth = new DigestAuth('joe', 'secret');
+    assert.equal(auth.authorization('GET', '/rets/login'), null);
+
+    auth.challenge('Digest realm="rets@test", nonce="n1", qop="auth", opaque="o1"');
+    var values = parameters(auth.authorization('GET', '/rets/search?Limit=1'));
+
+    var ha1 = md5('joe:rets@test:secret');
+    var ha2 = md5('GET:/rets/search?Limit=1');
+    assert.equal(values.username, 'joe');
+    assert.equal(values.uri, '/rets/search?Limit=1');
+    assert.equal(values.nc, '00000001');
+    assert.equal(values.opaque, 'o1');
+    assert.equal(values.response, md5([ha1, 'n1', values.nc, values.cnonce, 'auth', ha2].join(':')));
+  });
+
+  it('counts the requests sent with a nonce', function() {
+    var auth = new DigestAuth('joe', 'secret');
+    auth.challenge('Digest realm="r", nonce="n1", qop="auth"');
+    auth.authorization('GET', '/');
+    assert.equal(parameters(auth.authorization('GET', '/')).nc, '00000002');
+
+    // A new nonce restarts the count
+    auth.challenge('Digest realm="r", nonce="n2", qop="auth"');
+    assert.equal(parameters(auth.authorization('GET', '/')).nc, '00000001');
+  });
+
+  it('answers challenges without qop', function() {
+    var auth = new DigestAuth('joe', 'secret');
+    auth.challenge('Digest realm="r", nonce="n1"');
+    var values = parameters(auth.authorization('POST', '/update'));
+
+    assert.equal(values.qop, undefined);
+    assert.equal(values.response, md5([md5('joe:r:secret'), 'n1', md5('POST:/update')].join(':')));
+  });
+
+  it('escapes quotes and backslashes in the quoted parameters', function() {
+    var auth = new DigestAuth('dom\\joe "j"', 'secret');
+    auth.challenge('Digest realm="RETS \\"Server\\"", nonce="n1", qop="auth"');
+    var header = auth.authorization('GET', '/search?Query=(City="Oak")');
+
+    assert.ok(header.indexOf('username="dom\\\\joe \\"j\\""') != -1);
+    assert.ok(header.indexOf('uri="/search?Query=(City=\\"Oak\\")"') != -1);
+    var values = parameters(header);
+    assert.equal(values.username, 'dom\\joe "j"');
+    assert.equal(values.realm, 'RETS "Server"');
+    // The hashes use the unescaped values
+    var ha1 = md5('dom\\joe "j":RETS "Server":secret');
+    var ha2 = md5('GET:/search?Query=(City="Oak")');
+    assert.equal(values.response, md5([ha1, 'n1', values.nc, values.cnonce, 'auth', ha2].join(':')));
+  });
+});
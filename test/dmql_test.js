@@ -0,0 +1,140 @@
+var assert = require('assert')
+  , helpers = require('./helpers')
+  , shared = require('../lib/librets/collection/shared')
+  , query = require('../lib/librets/collection/query')
+  , dmql = require('../lib/librets/collection/dmql');
+
+describe('dmql.compile', function() {
+  it('returns DMQL2 strings as they are', function() {
+    assert.equal(dmql.compile('(LP=100+)'), '(LP=100+)');
+  });
+
+  it('compiles plain values', function() {
+    assert.equal(dmql.compile({LN: '12345', City: 'Oak Park', Pool: true, Garage: false}),
+      '(LN=12345),(City="Oak Park"),(Pool=1),(Garage=0)');
+  });
+
+  it('quotes values with quotes doubled', function() {
+    assert.equal(dmql.compile({Remarks: 'say "hi"'}), '(Remarks="say ""hi""")');
+  });
+
+  it('compiles ranges', function() {
+    assert.equal(dmql.compile({LP: {$gte: 300000, $lte: 500000}}), '(LP=300000-500000)');
+    assert.equal(dmql.compile({LP: {$gte: 300000}}), '(LP=300000+)');
+    assert.equal(dmql.compile({LP: {$lte: 500000}}), '(LP=500000-)');
+    assert.equal(dmql.compile({LP: {$gt: 1}}), '(LP=1+),~(LP=1)');
+    assert.equal(dmql.compile({LP: {$lt: 9}}), '(LP=9-),~(LP=9)');
+  });
+
+  it('compiles lookup lists', function() {
+    assert.equal(dmql.compile({ST: ['A', 'P']}), '(ST=|A,P)');
+    assert.equal(dmql.compile({ST: {$in: ['A', 'P']}}), '(ST=|A,P)');
+    assert.equal(dmql.compile({ST: {$nin: ['S']}}), '(ST=~S)');
+    assert.equal(dmql.compile({FT: {$all: ['P', 'G']}}), '(FT=+P,G)');
+  });
+
+  it('compiles equality and negation', function() {
+    assert.equal(dmql.compile({ST: {$eq: 'A'}}), '(ST=A)');
+    assert.equal(dmql.compile({ST: {$ne: 'A'}}), '~(ST=A)');
+    assert.equal(dmql.compile({LP: {$not: {$gte: 5}}}), '~(LP=5+)');
+  });
+
+  it('compiles literal regular expressions to patterns', function() {
+    assert.equal(dmql.compile({City: /^Chi/}), '(City=Chi*)');
+    assert.equal(dmql.compile({City: /cago$/}), '(City=*cago)');
+    assert.equal(dmql.compile({City: {$regex: 'ica'}}), '(City=*ica*)');
+    assert.throws(function() { dmql.compile({City: /^C.i/}); }, /literal regular expressions/);
+  });
+
+  it('rejects regular expression options', function() {
+    assert.throws(function() { dmql.compile({City: {$regex: '^chi', $options: 'i'}}); }, /options \[i\] are not supported/);
+    assert.throws(function() { dmql.compile({City: {$regex: /^chi/i}}); }, /options \[i\] are not supported/);
+    assert.throws(function() { dmql.compile({City: /^chi/i}); }, /options \[i\] are not supported/);
+    assert.throws(function() { dmql.compile({City: {$options: 'i'}}); }, /\$options requires \$regex/);
+    assert.equal(dmql.compile({City: {$regex: '^Chi', $options: ''}}), '(City=Chi*)');
+  });
+
+  it('rejects negative numbers', function() {
+    assert.throws(function() { dmql.compile({LP: -5}); }, /negative number for field LP/);
+    assert.throws(function() { dmql.compile({LP: {$gte: -5}}); }, /negative number/);
+    assert.equal(dmql.compile({LP: 0}), '(LP=0)');
+    // Negative strings are quoted literals
+    assert.equal(dmql.compile({Remarks: '-5'}), '(Remarks="-5")');
+  });
+
+  it('compiles $exists and null', function() {
+    assert.equal(dmql.compile({LN: {$exists: true}}), '(LN=.ANY.)');
+    assert.equal(dmql.compile({LN: {$exists: false}}), '(LN=.EMPTY.)');
+    assert.equal(dmql.compile({LN: null}), '(LN=.EMPTY.)');
+  });
+
+  it('formats dates as UTC DateTime literals', function() {
+    assert.equal(dmql.compile({MT: {$gte: new Date(Date.UTC(2014, 4, 1, 10, 30, 0, 5))}}), '(MT=2014-05-01T10:30:00.005+)');
+    assert.equal(dmql.compile({LD: '2014-05-01'}), '(LD=2014-05-01)');
+  });
+
+  it('combines selectors', function() {
+    assert.equal(dmql.compile({$or: [{ST: 'A'}, {LP: {$gte: 5}}]}), '((ST=A)|(LP=5+))');
+    assert.equal(dmql.compile({$and: [{ST: 'A'}, {BR: 3}]}), '(ST=A),(BR=3)');
+    assert.equal(dmql.compile({$nor: [{ST: 'A'}, {ST: 'S'}]}), '~((ST=A)|(ST=S))');
+  });
+
+  it('rejects unsupported operators and invalid names', function() {
+    assert.throws(function() { dmql.compile({LP: {$mod: [2, 0]}}); }, /unsupported query operator \$mod/);
+    assert.throws(function() { dmql.compile({$where: 'x'}); }, /unsupported query operator/);
+    assert.throws(function() { dmql.compile({'L.P': 1}); }, /invalid field name/);
+    assert.throws(function() { dmql.compile({LP: undefined}); }, /undefined value/);
+  });
+});
+
+describe('shared._matchAllQuery', function() {
+  var metadata = helpers.metadata();
+
+  it('matches the records with a KeyField value', function() {
+    assert.equal(shared._matchAllQuery(metadata, 'Property', 'RES'), '(LN=.ANY.)');
+    assert.equal(shared._matchAllQuery(metadata, 'Property', 'RES', true), '(ListingID=.ANY.)');
+    assert.equal(shared._matchAllQuery(metadata, 'Agent', 'Agent'), '(AgentID=.ANY.)');
+  });
+
+  it('rejects unknown classes', function() {
+    assert.throws(function() { shared._matchAllQuery(metadata, 'Property', 'XX'); }, /class XX of resource Property not found/);
+  });
+});
+
+describe('Collection.find', function() {
+  // A collection of a server without GetMetadata, the reads fail before any Search
+  var collection = {
+      collectionName: 'Property:RES'
+    , resourceName: 'Property'
+    , className: 'RES'
+    , opts: {}
+    , db: {options: {}, capabilityUrls: {}, slaveOk: false}
+    , find: query.find
+  };
+
+  it('returns the error of an invalid selector to the callback', function(done) {
+    query.find.call(collection, {LN: /x/g}, function(err, cursor) {
+      assert.ok(/regular expression options \[g\] are not supported on field LN/.test(err.message));
+      assert.equal(cursor, null);
+      done();
+    });
+  });
+
+  it('returns the error of an invalid selector on the first read of the cursor', function(done) {
+    var cursor = query.find.call(collection, {LN: /x/g});
+
+    cursor.toArray(function(err, items) {
+      assert.ok(/regular expression options \[g\] are not supported/.test(err.message));
+      assert.equal(items, null);
+      done();
+    });
+  });
+
+  it('returns the error of an invalid selector to the findOne callback', function(done) {
+    query.findOne.call(collection, {a: /x/g}, function(err, item) {
+      assert.ok(/regular expression options \[g\] are not supported on field a/.test(err.message));
+      assert.equal(item, null);
+      done();
+    });
+  });
+});
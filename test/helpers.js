@@ -0,0 +1,56 @@
+var fs = require('fs')
+  , path = require('path')
+  , MetadataReply = require('../lib/librets/responses/metadata_reply').MetadataReply
+  , Metadata = require('../lib/librets/metadata').Metadata
+  , Db = require('../lib/librets/db').Db;
+
+/**
+ * Read a fixture of test/fixtures
+ */
+var fixture = exports.fixture = function(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name));
+}
+
+/**
+ * The Metadata model of the metadata.xml fixture
+ */
+exports.metadata = function() {
+  var reply = new MetadataReply();
+  var blocks = null;
+
+  reply.parseBody(fixture('metadata.xml'), function(err) {
+    if(err) throw err;
+    blocks = reply.blocks;
+  });
+
+  return new Metadata(blocks);
+}
+
+/**
+ * A db answering the GetMetadata transactions with the blocks of the metadata.xml fixture
+ */
+exports.metadataDb = function(requests) {
+  var metadata = fixture('metadata.xml').toString();
+
+  return {
+      _metadata: null
+    , metadataCache: null
+    , _classMetadata: {}
+    , options: {}
+    , metadata: function(callback) { callback(new Error("the full metadata was requested")); }
+    , _searchMetadata: Db.prototype._searchMetadata
+    , _executeRETSCommand: function(command, callback) {
+      var type = command.parameters.Type;
+      var id = command.parameters.ID.split(':');
+      requests.push(type + ' ' + command.parameters.ID);
+
+      var blocks = metadata.split(/(?=<METADATA-)/).filter(function(block) {
+        if(block.indexOf('<' + type + ' ') != 0) return false;
+        return (id[0] == '0' || block.indexOf('Resource="' + id[0] + '"') != -1)
+          && (id.length == 1 || block.indexOf('Class="' + id[1] + '"') != -1 || block.indexOf('Lookup="' + id[1] + '"') != -1);
+      });
+
+      callback(null, {body: '<RETS ReplyCode="0" ReplyText="Success">\n' + blocks.join('').replace(/<\/RETS>\s*$/, '') + '</RETS>'});
+    }
+  };
+}
@@ -0,0 +1,106 @@
+var assert = require('assert')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , LocalRecords = require('../lib/librets/local_index').LocalRecords;
+
+var RECORDS = [
+    {LN: '1', AG: 'A1', ZIP: '02101', ST: 'A'}
+  , {LN: '2', AG: 'A2', ZIP: '02101', ST: 'S'}
+  , {LN: '3', AG: 'A1', ZIP: '02102', ST: 'A'}
+];
+
+// An empty selector syncs every record of the class
+var SEARCH = {selector: {}, query: '(LN=.ANY.)', standardNames: false, format: 'COMPACT-DECODED'};
+
+describe('LocalRecords', function() {
+  var localRecords = null;
+
+  beforeEach(function() {
+    localRecords = new LocalRecords('Property:RES');
+    localRecords.addIndex('LN_1', ['LN']);
+    localRecords.addIndex('AG_1_ST_1', ['AG', 'ST']);
+    localRecords.load(RECORDS, SEARCH);
+  });
+
+  it('answers selectors covering an index by value', function() {
+    assert.deepEqual(localRecords.match({LN: '2'}), [RECORDS[1]]);
+    assert.deepEqual(localRecords.match({LN: 3}), [RECORDS[2]]);
+    assert.deepEqual(localRecords.match({LN: '9'}), []);
+    assert.deepEqual(localRecords.match({AG: 'A1', ST: 'A'}), [RECORDS[0], RECORDS[2]]);
+  });
+
+  it('filters the other fields of the selector by value or $in', function() {
+    assert.deepEqual(localRecords.match({LN: '1', ZIP: {$in: ['02101', '02103']}}), [RECORDS[0]]);
+    assert.deepEqual(localRecords.match({LN: '1', ZIP: '02102'}), []);
+  });
+
+  it('leaves the selectors no index covers to the server', function() {
+    assert.equal(localRecords.match({ZIP: '02101'}), null);
+    assert.equal(localRecords.match({AG: 'A1'}), null);
+    assert.equal(localRecords.match({LN: {$gte: '1'}}), null);
+    assert.equal(localRecords.match({LN: '1', ST: {$ne: 'A'}}), null);
+    assert.equal(localRecords.match('(LN=1)'), null);
+  });
+
+  it('compares the Search the records were synced with', function() {
+    assert.ok(localRecords.syncedWith(SEARCH));
+    assert.ok(!localRecords.syncedWith({query: '(ST=A)', standardNames: false, format: 'COMPACT-DECODED'}));
+    assert.ok(!localRecords.syncedWith({query: '(LN=.ANY.)', standardNames: true, format: 'COMPACT-DECODED'}));
+  });
+
+  it('answers selectors only for the records the sync selector holds', function() {
+    localRecords.load([RECORDS[0], RECORDS[2]], {selector: {ST: 'A'}, query: '(ST=A)', standardNames: false, format: 'COMPACT-DECODED'});
+
+    // Listing 2 may exist on the server with another status
+    assert.equal(localRecords.match({LN: '2'}), null);
+    assert.deepEqual(localRecords.match({LN: '3', ST: 'A'}), [RECORDS[2]]);
+    assert.deepEqual(localRecords.match({LN: '1', ST: {$in: ['A']}}), [RECORDS[0]]);
+    assert.equal(localRecords.match({LN: '1', ST: {$in: ['A', 'S']}}), null);
+
+    localRecords.load(RECORDS, {selector: {AG: {$exists: true}}, query: '(AG=.ANY.)', standardNames: false, format: 'COMPACT-DECODED'});
+    assert.deepEqual(localRecords.match({AG: 'A2', ST: 'S'}), [RECORDS[1]]);
+    assert.equal(localRecords.match({LN: '1'}), null);
+
+    // Records synced with a DMQL2 query are not known to hold any selector
+    localRecords.load(RECORDS, {selector: '(LN=.ANY.)', query: '(LN=.ANY.)', standardNames: false, format: 'COMPACT-DECODED'});
+    assert.equal(localRecords.match({LN: '1'}), null);
+  });
+
+  it('shares the records with the Searches they cover', function() {
+    var agents = {selector: {AG: {$exists: true}}, query: '(AG=.ANY.)', standardNames: false, format: 'COMPACT-DECODED'};
+    var coAgents = {selector: {CA: {$exists: true}}, query: '(CA=.ANY.)', standardNames: false, format: 'COMPACT-DECODED'};
+
+    assert.ok(localRecords.covers(agents));
+    localRecords.load(RECORDS, agents);
+    assert.ok(localRecords.covers(agents));
+    assert.ok(!localRecords.covers(coAgents));
+    assert.ok(!localRecords.syncedWith(coAgents));
+  });
+
+  it('persists the records and index definitions', function(done) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'librets-'));
+    var persisted = new LocalRecords('Property:RES', directory);
+    persisted.addIndex('LN_1', ['LN']);
+    persisted.load(RECORDS, SEARCH);
+
+    persisted.write(function(err) {
+      assert.equal(err, null);
+
+      var read = new LocalRecords('Property:RES', directory);
+      read.read(function(err, found) {
+        assert.equal(err, null);
+        assert.equal(found, true);
+        assert.ok(read.syncedWith(SEARCH));
+        assert.deepEqual(read.match({LN: '1'}), [RECORDS[0]]);
+
+        read.drop(function(err) {
+          assert.equal(err, null);
+          assert.equal(fs.readdirSync(directory).length, 0);
+          fs.rmdirSync(directory);
+          done();
+        });
+      });
+    });
+  });
+});
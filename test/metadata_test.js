@@ -0,0 +1,88 @@
+var assert = require('assert')
+  , helpers = require('./helpers')
+  , MetadataReply = require('../lib/librets/responses/metadata_reply').MetadataReply
+  , commands = require('../lib/librets/collection/commands');
+
+describe('MetadataReply', function() {
+  it('collects the METADATA blocks with their attributes and rows', function(done) {
+    var reply = new MetadataReply();
+
+    reply.parseBody(helpers.fixture('metadata.xml'), function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.replyCode, 0);
+
+      var types = reply.blocks.map(function(block) { return block.type; });
+      assert.deepEqual(types, ['SYSTEM', 'RESOURCE', 'CLASS', 'CLASS', 'TABLE', 'TABLE', 'LOOKUP', 'LOOKUP_TYPE']);
+
+      var system = reply.blocks[0];
+      assert.equal(system.attributes.Version, '1.00.001');
+      assert.equal(system.rows[0].SystemID, 'TEST');
+      assert.equal(system.rows[0].Comments, 'Fixture');
+
+      var table = reply.blocks[4];
+      assert.equal(table.attributes.Resource, 'Property');
+      assert.equal(table.attributes.Class, 'RES');
+      assert.deepEqual(table.rows[1], {
+          SystemName: 'LP', StandardName: 'ListPrice', DataType: 'Decimal', Interpretation: 'Currency'
+        , LookupName: '', Precision: '2', Searchable: '1', Index: '0'
+      });
+      done();
+    });
+  });
+
+  it('returns the RETSError of a failed GetMetadata', function(done) {
+    var reply = new MetadataReply();
+
+    reply.parseBody('<RETS ReplyCode="20503" ReplyText="No Metadata Found"/>', function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.toError().replyCode, 20503);
+      done();
+    });
+  });
+});
+
+describe('Metadata', function() {
+  var metadata = helpers.metadata();
+
+  it('finds resources by ResourceID or StandardName', function() {
+    assert.equal(metadata.resource('Property').KeyField, 'LN');
+    assert.equal(metadata.resource('ActiveAgent').ResourceID, 'Agent');
+    assert.equal(metadata.resource('Office'), null);
+  });
+
+  it('finds classes and tables by system or standard name', function() {
+    assert.equal(metadata.class('Property', 'ResidentialProperty').ClassName, 'RES');
+    assert.equal(metadata.table('Property', 'RES', 'ListPrice').SystemName, 'LP');
+    assert.equal(metadata.table('Property', 'RES', 'BR').StandardName, 'Bedrooms');
+    assert.equal(metadata.table('Property', 'LND', 'LP'), null);
+  });
+
+  it('links tables to their lookups', function() {
+    var table = metadata.table('Property', 'RES', 'ST');
+    assert.deepEqual(table.lookup.types.map(function(type) { return type.Value; }), ['A', 'S']);
+    assert.equal(metadata.lookup('Property', 'Feat').types.length, 0);
+  });
+
+  it('keeps the system attributes', function() {
+    assert.equal(metadata.system.SystemID, 'TEST');
+    assert.equal(metadata.system.TimeZoneOffset, '-05:00');
+    assert.equal(metadata.system.Version, '1.00.001');
+  });
+});
+
+describe('Collection.distinct', function() {
+  it('reads the lookup values from the metadata of the class and of the lookup only', function(done) {
+    var requests = [];
+    var collection = {resourceName: 'Property', className: 'RES', opts: {}, db: helpers.metadataDb(requests)};
+
+    commands.distinct.call(collection, 'ST', function(err, values) {
+      assert.equal(err, null);
+      assert.deepEqual(values, [{Value: 'A', ShortValue: 'Act', LongValue: 'Active'}, {Value: 'S', ShortValue: 'Sld', LongValue: 'Sold'}]);
+      assert.deepEqual(requests, [
+          'METADATA-SYSTEM 0', 'METADATA-RESOURCE 0', 'METADATA-CLASS Property', 'METADATA-TABLE Property:RES'
+        , 'METADATA-LOOKUP Property', 'METADATA-LOOKUP_TYPE Property:Status'
+      ]);
+      done();
+    });
+  });
+});
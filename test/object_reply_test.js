@@ -0,0 +1,100 @@
+var assert = require('assert')
+  , ObjectReply = require('../lib/librets/responses/object_reply').ObjectReply;
+
+/**
+ * A multipart/parallel body with CRLF line breaks
+ */
+var multipart = function(boundary, parts) {
+  var chunks = [];
+
+  parts.forEach(function(part) {
+    chunks.push(Buffer.from('--' + boundary + '\r\n' + part.headers.join('\r\n') + '\r\n\r\n'));
+    chunks.push(part.body);
+    chunks.push(Buffer.from('\r\n'));
+  });
+
+  chunks.push(Buffer.from('--' + boundary + '--\r\n'));
+  return Buffer.concat(chunks);
+}
+
+describe('ObjectReply', function() {
+  it('splits multipart/parallel objects', function(done) {
+    var image = Buffer.from([0xff, 0xd8, 0x0d, 0x0a, 0x2d, 0x2d, 0xff, 0xd9]);
+    var body = multipart('simple boundary', [
+        {headers: ['Content-ID: 12345', 'Object-ID: 1', 'Content-Type: image/jpeg', 'Preferred: 1'], body: image}
+      , {headers: ['Content-ID: 12345', 'Object-ID: 2', 'Content-Type: text/xml', 'RETS-Error: 1']
+        , body: Buffer.from('<RETS ReplyCode="20403" ReplyText="No Object Found"/>')}
+    ]);
+
+    var reply = new ObjectReply();
+    reply.parseBody(body, {'content-type': 'multipart/parallel; boundary="simple boundary"'}, function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.objects.length, 2);
+
+      assert.equal(reply.objects[0].contentId, '12345');
+      assert.equal(reply.objects[0].objectId, '1');
+      assert.equal(reply.objects[0].preferred, true);
+      assert.ok(reply.objects[0].data.equals(image));
+      assert.equal(reply.objects[0].error, null);
+
+      assert.equal(reply.objects[1].data, null);
+      assert.equal(reply.objects[1].error.replyCode, 20403);
+      done();
+    });
+  });
+
+  it('reads a single object from the headers', function(done) {
+    var reply = new ObjectReply();
+    var headers = {'content-type': 'image/jpeg', 'content-id': '12345', 'object-id': '1', 'content-description': 'Front'};
+
+    reply.parseBody(Buffer.from('jpeg'), headers, function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.objects.length, 1);
+      assert.equal(reply.objects[0].contentDescription, 'Front');
+      assert.equal(reply.objects[0].data.toString(), 'jpeg');
+      done();
+    });
+  });
+
+  it('does not return data for objects returned by location', function(done) {
+    var reply = new ObjectReply();
+    var headers = {'content-type': 'image/jpeg', 'content-id': '12345', 'object-id': '1', 'location': 'http://cdn/1.jpg'};
+
+    reply.parseBody(Buffer.from(''), headers, function(err) {
+      assert.equal(reply.objects[0].location, 'http://cdn/1.jpg');
+      assert.equal(reply.objects[0].data, null);
+      done();
+    });
+  });
+
+  it('returns the RETSError of a failed transaction', function(done) {
+    var reply = new ObjectReply();
+    var body = Buffer.from('<RETS ReplyCode="20400" ReplyText="Invalid Resource"/>');
+
+    reply.parseBody(body, {'content-type': 'text/xml'}, function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.objects.length, 0);
+      assert.equal(reply.toError().replyCode, 20400);
+      done();
+    });
+  });
+
+  it('treats no object found as an empty result', function(done) {
+    var reply = new ObjectReply();
+    var body = Buffer.from('<RETS ReplyCode="20403" ReplyText="No Object Found"/>');
+
+    reply.parseBody(body, {'content-type': 'text/xml'}, function(err) {
+      assert.equal(reply.is_error(), false);
+      done();
+    });
+  });
+
+  it('rejects truncated multipart bodies', function(done) {
+    var body = Buffer.from('--b\r\nContent-ID: 1\r\n\r\ndata');
+
+    new ObjectReply().parseBody(body, {'content-type': 'multipart/parallel; boundary=b'}, function(err) {
+      assert.ok(/truncated/.test(err.message));
+      done();
+    });
+  });
+});
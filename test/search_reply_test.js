@@ -0,0 +1,115 @@
+var assert = require('assert')
+  , fixture = require('./helpers').fixture
+  , libRETSReply = require('../lib/librets/responses/librets_reply').libRETSReply
+  , StandardXMLReply = require('../lib/librets/responses/standard_xml_reply').StandardXMLReply
+  , RETSError = require('../lib/librets/errors').RETSError;
+
+describe('libRETSReply', function() {
+  it('parses COMPACT records keyed by column', function(done) {
+    var reply = new libRETSReply();
+
+    reply.parseBody(fixture('search_compact.xml'), function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.replyCode, 0);
+      assert.equal(reply.count, 3);
+      assert.equal(reply.numberReturned, 2);
+      assert.equal(reply.maxRows, true);
+      assert.deepEqual(reply.columns, ['LN', 'LP', 'ST', 'BR', 'BIG', 'LD', 'MT', 'OT', 'WF', 'FT']);
+      assert.equal(reply.documents[0].LP, '100.456');
+      assert.equal(reply.documents[1].LD, '');
+      done();
+    });
+  });
+
+  it('uses the DELIMITER of the response', function(done) {
+    var reply = new libRETSReply();
+
+    reply.parseBody(fixture('search_compact_pipe.xml'), function(err) {
+      assert.equal(err, null);
+      assert.deepEqual(reply.documents, [{LN: '1', LP: '100'}]);
+      done();
+    });
+  });
+
+  it('parses chunks and passes the records to ondocument', function() {
+    var body = fixture('search_compact.xml');
+    var reply = new libRETSReply();
+    var documents = [];
+    reply.ondocument = function(document) { documents.push(document); };
+
+    // Split the body in the middle of a record
+    reply.write(body.slice(0, 120));
+    reply.write(body.slice(120));
+    reply.end();
+
+    assert.equal(documents.length, 2);
+    assert.equal(reply.documents.length, 0);
+  });
+
+  it('treats no records found as an empty result', function(done) {
+    var reply = new libRETSReply();
+
+    reply.parseBody('<RETS ReplyCode="20201" ReplyText="No Records Found"/>', function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.is_error(), false);
+      assert.deepEqual(reply.documents, []);
+      done();
+    });
+  });
+
+  it('returns the RETSError of a failed Search', function(done) {
+    var reply = new libRETSReply();
+
+    reply.parseBody('<RETS ReplyCode="20203" ReplyText="Unknown Query Field"/>', function(err) {
+      assert.equal(err, null);
+      assert.ok(reply.is_error());
+      assert.ok(reply.toError() instanceof RETSError);
+      assert.equal(reply.toError().replyCode, 20203);
+      done();
+    });
+  });
+
+  it('rejects responses without a ReplyCode', function(done) {
+    new libRETSReply().parseBody('<HTML></HTML>', function(err) {
+      assert.ok(err instanceof Error);
+      done();
+    });
+  });
+});
+
+describe('StandardXMLReply', function() {
+  it('flattens the records by element name', function(done) {
+    var reply = new StandardXMLReply();
+
+    reply.parseBody(fixture('search_standard_xml.xml'), function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.count, 2);
+      assert.equal(reply.numberReturned, 2);
+      assert.equal(reply.maxRows, true);
+      assert.deepEqual(reply.documents[0], {ListingID: '1', City: 'Chicago', ListPrice: '500000', Photo: ['a.jpg', 'b.jpg']});
+      assert.deepEqual(reply.documents[1], {ListingID: '2', City: 'Evanston', ListPrice: '350000'});
+      done();
+    });
+  });
+
+  it('keys every record of the reply alike by element path', function(done) {
+    var reply = new StandardXMLReply();
+
+    reply.parseBody(fixture('search_standard_xml_paths.xml'), function(err) {
+      assert.equal(err, null);
+      assert.deepEqual(reply.documents, [
+          {City: 'Chicago'}
+        , {City: 'Evanston', 'Listing.ListingOffice.City': 'Skokie'}
+        , {'Listing.ListingOffice.City': 'Oak Park'}
+      ]);
+
+      // The keys are kept across the pages of a Search
+      var next = new StandardXMLReply(reply.keys);
+      next.parseBody(fixture('search_standard_xml_paths.xml'), function(err) {
+        assert.equal(err, null);
+        assert.deepEqual(next.documents[2], {'Listing.ListingOffice.City': 'Oak Park'});
+        done();
+      });
+    });
+  });
+});
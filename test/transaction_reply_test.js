@@ -0,0 +1,51 @@
+var assert = require('assert')
+  , LoginReply = require('../lib/librets/responses/login_reply').LoginReply
+  , LogoutReply = require('../lib/librets/responses/logout_reply').LogoutReply;
+
+describe('LoginReply', function() {
+  it('splits the capability URLs from the other RETS-RESPONSE values', function(done) {
+    var reply = new LoginReply();
+    var body = '<RETS ReplyCode="0" ReplyText="Success">\r\n<RETS-RESPONSE>\r\nMemberName=Joe Agent\r\n'
+      + 'search=/rets/search\r\nGetMetadata = /rets/metadata\r\nBroker=B1,O1\r\n</RETS-RESPONSE>\r\n</RETS>';
+
+    reply.parseBody(body, function(err) {
+      assert.equal(err, null);
+      assert.equal(reply.replyCode, 0);
+      assert.deepEqual(reply.capabilityUrls, {Search: '/rets/search', GetMetadata: '/rets/metadata'});
+      assert.deepEqual(reply.info, {MemberName: 'Joe Agent', Broker: 'B1,O1'});
+      done();
+    });
+  });
+
+  it('reads the values RETS 1.0 servers put in the RETS element', function(done) {
+    var reply = new LoginReply();
+
+    reply.parseBody('<RETS ReplyCode="0" ReplyText="Success">\nSearch=/search\nLogout=/logout\n</RETS>', function(err) {
+      assert.equal(err, null);
+      assert.deepEqual(reply.capabilityUrls, {Search: '/search', Logout: '/logout'});
+      done();
+    });
+  });
+
+  it('fails without a ReplyCode', function(done) {
+    new LoginReply().parseBody('<html>Login</html>', function(err) {
+      assert.ok(/login response does not contain a RETS ReplyCode/.test(err.message));
+      done();
+    });
+  });
+});
+
+describe('LogoutReply', function() {
+  it('reads the ConnectTime, Billing and SignOffMessage', function(done) {
+    var reply = new LogoutReply();
+    var body = '<RETS ReplyCode="0" ReplyText="Logging out"><RETS-RESPONSE>\nConnectTime=1234\nSignOffMessage=Goodbye\n</RETS-RESPONSE></RETS>';
+
+    reply.parseBody(body, function(err) {
+      assert.equal(err, null);
+      assert.strictEqual(reply.connectTime, 1234);
+      assert.equal(reply.billing, null);
+      assert.equal(reply.signOffMessage, 'Goodbye');
+      done();
+    });
+  });
+});
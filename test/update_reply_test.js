@@ -0,0 +1,21 @@
+var assert = require('assert')
+  , UpdateReply = require('../lib/librets/responses/update_reply').UpdateReply;
+
+describe('UpdateReply', function() {
+  it('splits the record, errors and warnings by the delimiter', function(done) {
+    var reply = new UpdateReply();
+    var body = '<RETS ReplyCode="20302" ReplyText="Failed"><DELIMITER value="7C"/>'
+      + '<COLUMNS>|LN|LP|</COLUMNS><DATA>|12345|300000|</DATA>'
+      + '<ERRORBLOCK><ERRORDATA>\nLP|20|0|Price out of range\n</ERRORDATA></ERRORBLOCK>'
+      + '<WARNINGBLOCK><WARNINGDATA>LP|31|0|Price changed|1</WARNINGDATA></WARNINGBLOCK></RETS>';
+
+    reply.parseBody(body, function(err) {
+      assert.equal(err, null);
+      assert.deepEqual(reply.record, {LN: '12345', LP: '300000'});
+      assert.deepEqual(reply.errors, [{fieldName: 'LP', errorNumber: 20, offset: 0, errorText: 'Price out of range'}]);
+      assert.deepEqual(reply.warnings, [{fieldName: 'LP', warningNumber: 31, offset: 0, warningText: 'Price changed', responseRequired: 1}]);
+      assert.deepEqual(reply.toError().errors, reply.errors);
+      done();
+    });
+  });
+});